@@ -1,5 +1,7 @@
 'use strict';
 
+const catharsis = require('catharsis');
+const crypto = require('crypto');
 const doop = require('jsdoc/util/doop');
 const env = require('jsdoc/env');
 const fs = require('jsdoc/fs');
@@ -19,6 +21,24 @@ const hasOwnProp = Object.prototype.hasOwnProperty;
 let data;
 let view;
 
+// every page written by this run: its filename relative to `outdir`, and the template and data it
+// was rendered from
+const generatedPages = [];
+
+// the options and findings of the link check, while it is enabled
+let linkCheck = null;
+
+// where the source files are hosted, if anywhere; see buildRepositoryConf()
+let repository = null;
+
+// the version of the package being documented, if it has one
+let packageVersion = null;
+
+// the files written by this build and the previous one, when only changed files are rewritten; see
+// loadBuildManifest()
+let buildManifest = null;
+const buildManifestFilename = '.build-manifest.json';
+
 let outdir = path.normalize(env.opts.destination);
 
 function find(spec) {
@@ -60,178 +80,2819 @@ function needsSignature(doclet) {
 		}
 	}
 
-	return needsSig;
-}
+	return needsSig;
+}
+
+function getSignatureAttributes(item) {
+	const attributes = [];
+
+	if (item.optional) {
+		attributes.push('opt');
+	}
+
+	if (item.nullable === true) {
+		attributes.push('nullable');
+	}
+	else if (item.nullable === false) {
+		attributes.push('non-null');
+	}
+
+	return attributes;
+}
+
+function updateItemName(item) {
+	const attributes = getSignatureAttributes(item);
+	let itemName = item.name || '';
+
+	if (item.variable) {
+		itemName = '&hellip;' + itemName;
+	}
+
+	if (attributes && attributes.length) {
+		itemName = util.format('%s<span class="signature-attributes">%s</span>', itemName,
+			attributes.join(', '));
+	}
+
+	return itemName;
+}
+
+function addParamAttributes(params) {
+	return params.filter(function(param) {
+		return param.name && param.name.indexOf('.') === -1;
+	}).map(updateItemName);
+}
+
+/**
+ * Parse one of the `names` of a type into a tree. A name that can't be parsed is kept whole.
+ *
+ * @param {String} expression
+ * @return {Object}
+ */
+function parseTypeExpression(expression) {
+	try {
+		return catharsis.parse(expression, { jsdoc: true });
+	}
+	catch (e) {
+		return { type: catharsis.Types.NameExpression, name: expression };
+	}
+}
+
+/**
+ * Get the alternatives of a type as trees, one for each of its `names`. jsdoc keeps the tree it
+ * parsed a type from, which still has the fields of record types and the signature of function
+ * types that its `names` leave out, but not on the inherited members that it copies.
+ *
+ * @param {Object} type
+ * @return {Array<Object>}
+ */
+function getTypeTrees(type) {
+	const names = (type && type.names) || [];
+	const parsedType = type && type.parsedType;
+
+	if (parsedType) {
+		const alternatives = parsedType.type === catharsis.Types.TypeUnion ? parsedType.elements : [parsedType];
+
+		if (alternatives.length === names.length) {
+			return alternatives;
+		}
+	}
+
+	return names.map(parseTypeExpression);
+}
+
+/**
+ * Render a type tree as HTML, linking each type in it that is documented. The modifiers of the
+ * outermost type, such as nullable or optional, are left out, as they're shown as attributes.
+ *
+ * @param {Object} node
+ * @param {Boolean} [isNested=false]
+ * @return {String}
+ */
+function buildTypeHtml(node, isNested) {
+	const Types = catharsis.Types;
+	let html;
+
+	function nested(child) {
+		return buildTypeHtml(child, true);
+	}
+
+	switch (node.type) {
+		case Types.NameExpression:
+			html = linkto(node.name, htmlsafe(node.name));
+			break;
+
+		case Types.TypeApplication:
+			html = nested(node.expression) + '&lt;' + node.applications.map(nested).join(', ') + '&gt;';
+			break;
+
+		case Types.TypeUnion:
+			html = node.elements.map(nested).join('|');
+
+			// a union needs brackets for a modifier to apply to all of it
+			if (isNested && (node.nullable !== undefined || node.optional || node.repeatable)) {
+				html = '(' + html + ')';
+			}
+			break;
+
+		case Types.RecordType:
+			html = '{' + node.fields.map(function(field) {
+				return htmlsafe(field.key.name) + (field.value ? ': ' + nested(field.value) : '');
+			}).join(', ') + '}';
+			break;
+
+		case Types.FunctionType: {
+			const params = [];
+
+			if (node.new) {
+				params.push('new:' + nested(node.new));
+			}
+			if (node.this) {
+				params.push('this:' + nested(node.this));
+			}
+
+			html = 'function(' + params.concat(node.params.map(nested)).join(', ') + ')';
+
+			if (node.result) {
+				html += ': ' + (node.result.type === Types.TypeUnion ?
+					'(' + nested(node.result) + ')' : nested(node.result));
+			}
+			break;
+		}
+
+		case Types.AllLiteral:
+			html = '*';
+			break;
+
+		case Types.NullLiteral:
+			html = 'null';
+			break;
+
+		case Types.UndefinedLiteral:
+			html = 'undefined';
+			break;
+
+		case Types.UnknownLiteral:
+			html = '?';
+			break;
+
+		default:
+			html = '';
+	}
+
+	if (isNested) {
+		if (node.nullable === true) {
+			html = '?' + html;
+		}
+		else if (node.nullable === false) {
+			html = '!' + html;
+		}
+
+		if (node.repeatable) {
+			html = '&hellip;' + html;
+		}
+
+		if (node.optional) {
+			html += '=';
+		}
+	}
+
+	return html;
+}
+
+/**
+ * Render a type tree as plain text, for signatures that are output without markup.
+ *
+ * @param {Object} node
+ * @param {Boolean} [isNested=false]
+ * @return {String}
+ */
+function buildTypeText(node, isNested) {
+	return decodeEntities(buildTypeHtml(node, isNested)
+		.replace(/<[^>]*>/g, '')
+		.replace(/&hellip;/g, '...'));
+}
+
+/**
+ * Render each alternative of a type as HTML.
+ *
+ * @param {Object} type
+ * @return {Array<String>}
+ */
+function buildTypeStrings(type) {
+	return getTypeTrees(type).map(function(tree) {
+		return buildTypeHtml(tree);
+	});
+}
+
+function buildItemTypeStrings(item) {
+	return (item && item.type) ? buildTypeStrings(item.type) : [];
+}
+
+function buildAttribsString(attribs) {
+	let attribsString = '';
+
+	if (attribs && attribs.length) {
+		attribsString = htmlsafe(attribs.join(', '));
+	}
+
+	return attribsString;
+}
+
+function addNonParamAttributes(items) {
+	let types = [];
+
+	items.forEach(function(item) {
+		types = types.concat(buildItemTypeStrings(item));
+	});
+
+	return types;
+}
+
+/**
+ * Get the function type of a typedef such as `{function(string): number}`, whose signature can
+ * be shown from its type when it has no `@param` or `@returns` tags.
+ *
+ * @param {Object} doclet
+ * @return {?Object}
+ */
+function getFunctionType(doclet) {
+	const trees = doclet.kind === 'typedef' ? getTypeTrees(doclet.type) : [];
+
+	return (trees.length === 1 && trees[0].type === catharsis.Types.FunctionType) ? trees[0] : null;
+}
+
+function addSignatureParams(f) {
+	const functionType = getFunctionType(f);
+	let params = [];
+
+	if (f.params) {
+		params = addParamAttributes(f.params);
+	}
+	else if (functionType) {
+		params = functionType.params.map(function(param) {
+			return buildTypeHtml(param, true);
+		});
+	}
+
+	f.signature = util.format('%s(%s)', (f.signature || ''), params.join(', '));
+}
+
+function addSignatureReturns(f) {
+	const attribs = [];
+	let attribsString = '';
+	let returnTypes = [];
+	let returnTypesString = '';
+
+	// jam all the return-type attributes into an array. this could create odd results (for example,
+	// if there are both nullable and non-nullable return types), but let's assume that most people
+	// who use multiple @return tags aren't using Closure Compiler type annotations, and vice-versa.
+	if (f.returns) {
+		f.returns.forEach(function(item) {
+			helper.getAttribs(item).forEach(function(attrib) {
+				if (attribs.indexOf(attrib) === -1) {
+					attribs.push(attrib);
+				}
+			});
+		});
+
+		attribsString = buildAttribsString(attribs);
+	}
+
+	if (f.returns) {
+		returnTypes = addNonParamAttributes(f.returns);
+	}
+	else if (getFunctionType(f) && getFunctionType(f).result) {
+		returnTypes = [buildTypeHtml(getFunctionType(f).result)];
+	}
+	if (returnTypes.length) {
+		returnTypesString = util.format(' &rarr; %s{%s}', attribsString, returnTypes.join('|'));
+	}
+
+	f.signature = '<span class="signature">' + (f.signature || '') + '</span>' +
+        '<span class="return-type-signature">' + returnTypesString + '</span>';
+}
+
+function addSignatureTypes(f) {
+	const types = f.type ? buildItemTypeStrings(f) : [];
+
+	f.signature = (f.signature || '') + '<span class="type-signature">' +
+        (types.length ? '' + types.join('|') : '') + '</span>';
+}
+
+function addAttribs(f) {
+	const attribs = helper.getAttribs(f);
+	if (attribs.length) {
+		let str = '';
+		attribs.forEach(function(a) {
+			str = str + `<span class="method-type-signature is-${a}">${a}</span>`;
+		});
+		f.attribs = str;
+	}
+}
+
+function shortenPaths(files, commonPrefix) {
+	Object.keys(files).forEach(function(file) {
+		files[file].shortened = files[file].resolved.replace(commonPrefix, '')
+		// always use forward slashes
+			.replace(/\\/g, '/');
+	});
+
+	return files;
+}
+
+function getPathFromDoclet(doclet) {
+	if (!doclet.meta) {
+		return null;
+	}
+
+	return doclet.meta.path && doclet.meta.path !== 'null' ?
+		path.join(doclet.meta.path, doclet.meta.filename) :
+		doclet.meta.filename;
+}
+
+/**
+ * Reduce a fragment of doclet HTML to plain text, so that it can be searched and displayed
+ * in the search results without markup.
+ *
+ * @param {String} html
+ * @return {String}
+ */
+function toPlainText(html) {
+	const text = (html || '')
+		// keep the link text of inline {@link} tags that have not been resolved yet
+		.replace(/\{@link(?:code|plain)?\s+([^}|\s]+)(?:\s*\|\s*|\s+)?([^}]*)\}/gi, function(match, target, linkText) {
+			return linkText || target;
+		})
+		.replace(/<[^>]*>/g, ' ')
+		.replace(/&nbsp;/g, ' ');
+
+	return decodeEntities(text)
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+/**
+ * Decode the HTML entities that {@link module:jsdoc/util/templateHelper.htmlsafe} and the markdown
+ * plugin produce, for text that is output verbatim, such as code.
+ *
+ * @param {String} text
+ * @return {String}
+ */
+function decodeEntities(text) {
+	return text
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;/g, '\'')
+		.replace(/&amp;/g, '&');
+}
+
+/**
+ * Convert the HTML that remains in a rendered Markdown page, from descriptions, links and the
+ * readme, to Markdown. Tags without a Markdown equivalent, such as tables, are kept as they
+ * are, while wrappers such as `<span>` and `<div>` are dropped.
+ *
+ * @param {String} html
+ * @return {String}
+ */
+function htmlToMarkdown(html) {
+	const keptTags = /^(table|thead|tbody|tfoot|tr|th|td|sup|sub|kbd|details|summary|blockquote|dl|dt|dd)$/;
+	const tokens = html.split(/(<\/?[a-zA-Z][^>]*>)/);
+	const lists = [];
+	const links = [];
+	let out = '';
+	let pre = null;
+	let inCode = false;
+
+	function getAttribute(tag, name) {
+		const match = new RegExp('\\s' + name + '\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\')', 'i').exec(tag);
+		return match ? (match[1] !== undefined ? match[1] : match[2]) : null;
+	}
+
+	tokens.forEach(function(token, i) {
+		if (i % 2 === 0) {
+			if (pre) {
+				pre.code += decodeEntities(token);
+			}
+			else if (inCode) {
+				out += decodeEntities(token);
+			}
+			// whitespace between the tags of a list would break it apart
+			else if (!(lists.length && /^\s*$/.test(token) && /\n/.test(token))) {
+				out += token;
+			}
+			return;
+		}
+
+		const match = /^<(\/?)([a-zA-Z][a-zA-Z0-9]*)/.exec(token);
+		const isClosing = match[1] === '/';
+		const tag = match[2].toLowerCase();
+
+		if (pre && !(tag === 'pre' && isClosing)) {
+			if (tag === 'code' && !isClosing) {
+				const language = /language-(\w+)/.exec(getAttribute(token, 'class') || '');
+				pre.language = pre.language || (language ? language[1] : '');
+			}
+			return;
+		}
+
+		switch (tag) {
+			case 'pre': {
+				if (!isClosing) {
+					const language = /lang(?:uage)?-(\w+)/.exec(getAttribute(token, 'class') || '');
+					pre = { language: language ? language[1] : '', code: '' };
+				}
+				else {
+					out += '\n\n```' + pre.language + '\n' + pre.code.replace(/\n$/, '') + '\n```\n\n';
+					pre = null;
+				}
+				break;
+			}
+			case 'code':
+				out += '`';
+				inCode = !isClosing;
+				break;
+			case 'a': {
+				if (!isClosing) {
+					const href = getAttribute(token, 'href');
+
+					links.push(href === null ? null : { href: href, start: out.length });
+					if (href === null) {
+						// keep named anchors, which Markdown has no syntax for
+						out += token;
+					}
+				}
+				else {
+					const link = links.pop();
+
+					if (link) {
+						out = out.slice(0, link.start) + '[' + out.slice(link.start) + '](' + link.href + ')';
+					}
+					else {
+						out += token;
+					}
+				}
+				break;
+			}
+			case 'strong':
+			case 'b':
+				out += '**';
+				break;
+			case 'em':
+			case 'i':
+				out += '_';
+				break;
+			case 'p':
+				// paragraphs in list items are run together, to keep the item on one line
+				if (!lists.length) {
+					out += '\n\n';
+				}
+				else if (!/\s$/.test(out)) {
+					out += ' ';
+				}
+				break;
+			case 'br':
+				out += '  \n';
+				break;
+			case 'hr':
+				out += '\n\n---\n\n';
+				break;
+			case 'h1':
+			case 'h2':
+			case 'h3':
+			case 'h4':
+			case 'h5':
+			case 'h6':
+				out += isClosing ? '\n\n' : '\n\n' + '#'.repeat(Number(tag[1])) + ' ';
+				break;
+			case 'ul':
+			case 'ol':
+				if (!isClosing) {
+					lists.push({ ordered: tag === 'ol', count: 0 });
+				}
+				else {
+					lists.pop();
+					out += lists.length ? '' : '\n\n';
+				}
+				break;
+			case 'li': {
+				if (!isClosing) {
+					const list = lists[lists.length - 1] || { ordered: false, count: 0 };
+
+					list.count++;
+					out += '\n' + '  '.repeat(Math.max(lists.length - 1, 0)) +
+						(list.ordered ? list.count + '. ' : '- ');
+				}
+				break;
+			}
+			case 'img': {
+				out += '![' + (getAttribute(token, 'alt') || '') + '](' + (getAttribute(token, 'src') || '') + ')';
+				break;
+			}
+			default:
+				if (keptTags.test(tag)) {
+					out += token;
+				}
+		}
+	});
+
+	return out
+		.split('\n')
+		.map(function(line) {
+			// keep the two trailing spaces of a line break
+			return /\S {2}$/.test(line) ? line : line.replace(/\s+$/, '');
+		})
+		.join('\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim() + '\n';
+}
+
+/**
+ * Build the client-side search index from every documented symbol and tutorial.
+ *
+ * @param {Tutorial} tutorials The root tutorial.
+ * @return {{longname: String, name: String, kind: String, summary: String, description: String, url: String}[]}
+ */
+function buildSearchIndex(tutorials) {
+	const index = [];
+	const searchableKinds = ['class', 'module', 'namespace', 'mixin', 'interface', 'external',
+		'function', 'member', 'typedef', 'event'];
+
+	data().each(function(doclet) {
+		const url = helper.longnameToUrl[doclet.longname];
+
+		if (!url || searchableKinds.indexOf(doclet.kind) === -1) {
+			return;
+		}
+
+		index.push({
+			longname: doclet.longname.replace(/^module:/, ''),
+			name: doclet.name.replace(/^module:/, ''),
+			kind: doclet.kind,
+			summary: toPlainText(doclet.summary || doclet.classdesc),
+			description: toPlainText(doclet.description),
+			url: url,
+		});
+	});
+
+	(function addTutorials(node) {
+		node.children.forEach(function(child) {
+			index.push({
+				longname: child.title,
+				name: child.title,
+				kind: 'tutorial',
+				summary: '',
+				description: toPlainText(child.parse()),
+				url: helper.tutorialToUrl(child.name),
+			});
+			addTutorials(child);
+		});
+	})(tutorials);
+
+	return index;
+}
+
+/**
+ * Write the search index as a script rather than JSON, so that the generated docs can be
+ * searched when opened straight from the file system, where `fetch()` is unavailable.
+ *
+ * @param {Array<Object>} index The search index from {@link buildSearchIndex}.
+ */
+function generateSearchIndex(index) {
+	const scriptsDir = path.join(outdir, 'scripts');
+
+	fs.mkPath(scriptsDir);
+	writeOutputFile(path.join(scriptsDir, 'search-index.js'), 'window.searchIndex = ' + JSON.stringify(index) + ';\n');
+}
+
+/**
+ * Build a plain text signature, such as `add(a, [b], ...rest) → {number}`, for the JSON export.
+ * The signatures on the doclets themselves are HTML, with links for the types.
+ *
+ * @param {Object} doclet
+ * @return {?String} The signature, or `null` for doclets that don't need one.
+ */
+function buildPlainSignature(doclet) {
+	if (!needsSignature(doclet)) {
+		return null;
+	}
+
+	const functionType = getFunctionType(doclet);
+	let params = (doclet.params || []).filter(function(param) {
+		return param.name && param.name.indexOf('.') === -1;
+	}).map(function(param) {
+		const name = (param.variable ? '...' : '') + param.name;
+		return param.optional ? '[' + name + ']' : name;
+	});
+
+	let returnTypes = [];
+	(doclet.returns || []).forEach(function(item) {
+		returnTypes.push.apply(returnTypes, getTypeTrees(item.type).map(function(tree) {
+			return buildTypeText(tree);
+		}));
+	});
+
+	if (!doclet.params && functionType) {
+		params = functionType.params.map(function(param) {
+			return buildTypeText(param, true);
+		});
+	}
+	if (!doclet.returns && functionType && functionType.result) {
+		returnTypes = [buildTypeText(functionType.result)];
+	}
+
+	return (doclet.kind === 'class' ? 'new ' : '') + doclet.name + '(' + params.join(', ') + ')' +
+		(returnTypes.length ? ' \u2192 {' + returnTypes.join('|') + '}' : '');
+}
+
+function getTypeNames(item) {
+	return (item && item.type && item.type.names) ? item.type.names.slice() : [];
+}
+
+/**
+ * Build the machine-readable JSON export of the API. Every symbol has the same set of keys,
+ * which are `null` or empty when they don't apply, so that consumers don't need to check for
+ * their presence.
+ *
+ * @param {?Object} packageInfo The `package` doclet, if any.
+ * @return {Object}
+ */
+function buildApiJson(packageInfo) {
+	const symbols = [];
+
+	function toParam(param) {
+		return {
+			name: param.name || null,
+			type: getTypeNames(param),
+			description: toPlainText(param.description),
+			optional: Boolean(param.optional),
+			nullable: typeof param.nullable === 'boolean' ? param.nullable : null,
+			variable: Boolean(param.variable),
+			defaultValue: typeof param.defaultvalue === 'undefined' ? null : param.defaultvalue,
+		};
+	}
+
+	function toReturn(item) {
+		return {
+			type: getTypeNames(item),
+			description: toPlainText(item.description),
+		};
+	}
+
+	data().each(function(doclet) {
+		const url = helper.longnameToUrl[doclet.longname];
+
+		if (!url || doclet.kind === 'package' || doclet.kind === 'file') {
+			return;
+		}
+
+		symbols.push({
+			longname: doclet.longname,
+			name: doclet.name,
+			kind: doclet.kind,
+			variation: doclet.variation || null,
+			scope: doclet.scope || null,
+			memberof: doclet.memberof || null,
+			access: doclet.access || 'public',
+			summary: toPlainText(doclet.summary),
+			description: toPlainText(doclet.classdesc || doclet.description),
+			signature: buildPlainSignature(doclet),
+			type: getTypeNames(doclet),
+			params: (doclet.params || []).map(toParam),
+			properties: (doclet.properties || []).map(toParam),
+			returns: (doclet.returns || []).map(toReturn),
+			exceptions: (doclet.exceptions || []).map(toReturn),
+			augments: doclet.augments || [],
+			implements: doclet.implements || [],
+			mixes: doclet.mixes || [],
+			inherited: Boolean(doclet.inherited),
+			inherits: doclet.inherits || null,
+			deprecated: doclet.deprecated === true ? true : (doclet.deprecated ? toPlainText(doclet.deprecated) : false),
+			since: doclet.since || null,
+			url: url,
+			source: doclet.meta ? {
+				file: doclet.meta.shortpath || doclet.meta.filename,
+				line: doclet.meta.lineno,
+				column: doclet.meta.columnno,
+			} : null,
+		});
+	});
+
+	return {
+		schemaVersion: 1,
+		generator: {
+			jsdoc: env.version.number,
+		},
+		package: packageInfo ? {
+			name: packageInfo.name || null,
+			version: packageInfo.version || null,
+			description: packageInfo.description || null,
+		} : null,
+		symbols: symbols,
+	};
+}
+
+/**
+ * Compare two version strings, such as `1.10.0` and `2.0.0-beta.1`, in semantic version order.
+ * Prerelease versions sort before the release they precede.
+ *
+ * @param {String} a
+ * @param {String} b
+ * @return {Number} A negative number if `a` precedes `b`, a positive number if it follows `b`,
+ * or `0` if they are equal.
+ */
+function compareVersions(a, b) {
+	function parse(version) {
+		const str = String(version).trim().replace(/^v/i, '');
+		const hyphen = str.indexOf('-');
+
+		return {
+			core: (hyphen > -1 ? str.slice(0, hyphen) : str).split('.'),
+			prerelease: hyphen > -1 ? str.slice(hyphen + 1).split('.') : [],
+		};
+	}
+
+	function compareParts(partsA, partsB) {
+		for (let i = 0, l = Math.max(partsA.length, partsB.length); i < l; i++) {
+			const partA = partsA[i] === undefined ? '0' : partsA[i];
+			const partB = partsB[i] === undefined ? '0' : partsB[i];
+			const isNumeric = /^\d+$/.test(partA) && /^\d+$/.test(partB);
+			const diff = isNumeric ? Number(partA) - Number(partB) : partA.localeCompare(partB);
+
+			if (diff) {
+				return diff;
+			}
+		}
+
+		return 0;
+	}
+
+	const versionA = parse(a);
+	const versionB = parse(b);
+
+	return compareParts(versionA.core, versionB.core) ||
+		// a release follows all of its prereleases
+		(!versionA.prerelease.length - !versionB.prerelease.length) ||
+		compareParts(versionA.prerelease, versionB.prerelease);
+}
+
+/**
+ * Add the pages of this run to the versions manifest in the destination root, so that every
+ * version of the docs can switch to the others. The manifest is written as JSON for tooling,
+ * and as a script for the version switcher, so that it also works from the file system.
+ *
+ * @param {String} root The destination root directory.
+ * @param {String} version The version of the package being documented.
+ * @param {Object} versionsConf The `versions` block of the configuration.
+ * @return {Object} The updated manifest.
+ */
+function updateVersionsManifest(root, version, versionsConf) {
+	const manifestPath = path.join(root, 'versions.json');
+	let manifest = { versions: [] };
+
+	try {
+		manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+	}
+	catch (e) {
+		if (e.code !== 'ENOENT') {
+			logger.warn('Unable to read the versions manifest %s, so it will be recreated: %s', manifestPath, e.message);
+		}
+	}
+
+	const versions = (manifest.versions || []).filter(function(entry) {
+		return entry.version !== version;
+	});
+
+	versions.push({
+		version: version,
+		path: path.relative(root, outdir).split(path.sep).join('/') + '/',
+		pages: generatedPages.map(function(page) {
+			return page.filename;
+		}).sort(),
+	});
+	versions.sort(function(a, b) {
+		return compareVersions(b.version, a.version);
+	});
+
+	const releases = versions.filter(function(entry) {
+		return entry.version.indexOf('-') === -1;
+	});
+
+	manifest = {
+		latest: versions[0].version,
+		stable: versionsConf.stable || (releases.length ? releases[0].version : versions[0].version),
+		versions: versions,
+	};
+
+	writeOutputFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+	writeOutputFile(path.join(root, 'versions.js'), 'window.docVersions = ' + JSON.stringify(manifest) + ';\n');
+
+	return manifest;
+}
+
+/**
+ * Escape text for use in an HTML attribute, which {@link module:jsdoc/util/templateHelper.htmlsafe}
+ * doesn't do.
+ *
+ * @param {String} text
+ * @return {String}
+ */
+function attributeSafe(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the public URL of a page, from the `baseUrl` of the metadata.
+ *
+ * @param {String} filename The page's filename, relative to the output directory.
+ * @return {?String} The URL, or null if there is no `baseUrl`.
+ */
+function getPageUrl(filename) {
+	if (!view.seo) {
+		return null;
+	}
+
+	return view.seo.baseUrl + view.seo.path + encodeURI(filename);
+}
+
+/**
+ * Describe a page in a sentence or two, for search engines and link previews: the summary of
+ * the symbol it documents, or the start of its description, readme or tutorial.
+ *
+ * @param {Object} page The data the page is rendered from.
+ * @return {String}
+ */
+function getPageDescription(page) {
+	const MAX_LENGTH = 160;
+	let text = '';
+
+	if (page.kind === 'Tutorial') {
+		text = toPlainText(page.tutorialContent);
+	}
+	else {
+		(page.docs || []).some(function(doc) {
+			if (doc.kind === 'mainpage') {
+				text = toPlainText(doc.readme);
+			}
+			else if (doc.kind !== 'source' && doc.kind !== 'file') {
+				text = toPlainText(doc.summary || doc.classdesc || doc.description);
+			}
+
+			return Boolean(text);
+		});
+	}
+
+	if (text.length <= MAX_LENGTH) {
+		return text;
+	}
+
+	return text.slice(0, MAX_LENGTH - 1).replace(/\s+\S*$/, '') + '\u2026';
+}
+
+/**
+ * Build the tags that describe a page to search engines and to the link previews of social
+ * networks and chat apps: its description, canonical URL, and Open Graph and Twitter card tags.
+ *
+ * @param {Object} page The data the page is rendered from.
+ * @return {String}
+ */
+function buildPageMeta(page) {
+	const metadata = env.conf.metadata || {};
+	const title = (page.title || 'Home') + (metadata.title ? ' | ' + metadata.title : '');
+	const description = getPageDescription(page);
+	const url = page.filename ? getPageUrl(page.filename) : null;
+	let image = metadata.logo;
+	const tags = [];
+
+	// previews need the absolute URL of the image
+	if (image && !/^https?:\/\//.test(image)) {
+		image = url ? new URL(image, url).href : null;
+	}
+
+	if (description) {
+		tags.push('<meta name="description" content="' + attributeSafe(description) + '">');
+	}
+	if (url) {
+		tags.push('<link rel="canonical" href="' + attributeSafe(url) + '">');
+	}
+
+	tags.push('<meta property="og:type" content="website">');
+	tags.push('<meta property="og:title" content="' + attributeSafe(title) + '">');
+	if (metadata.title) {
+		tags.push('<meta property="og:site_name" content="' + attributeSafe(metadata.title) + '">');
+	}
+	if (description) {
+		tags.push('<meta property="og:description" content="' + attributeSafe(description) + '">');
+	}
+	if (url) {
+		tags.push('<meta property="og:url" content="' + attributeSafe(url) + '">');
+	}
+	if (image) {
+		tags.push('<meta property="og:image" content="' + attributeSafe(image) + '">');
+	}
+
+	tags.push('<meta name="twitter:card" content="summary">');
+	tags.push('<meta name="twitter:title" content="' + attributeSafe(title) + '">');
+	if (description) {
+		tags.push('<meta name="twitter:description" content="' + attributeSafe(description) + '">');
+	}
+	if (image) {
+		tags.push('<meta name="twitter:image" content="' + attributeSafe(image) + '">');
+	}
+
+	return tags.join('\n  ');
+}
+
+/**
+ * Write a sitemap of every page, and a robots.txt pointing to it, to the destination root. With
+ * multiple versions, the sitemap lists the pages of every version in the manifest.
+ *
+ * @param {String} root The destination root directory.
+ * @param {?Object} manifest The versions manifest, if any.
+ */
+function generateSitemap(root, manifest) {
+	const baseUrl = view.seo.baseUrl;
+	let urls;
+
+	if (manifest) {
+		urls = [];
+		manifest.versions.forEach(function(entry) {
+			entry.pages.forEach(function(page) {
+				urls.push(baseUrl + entry.path + encodeURI(page));
+			});
+		});
+	}
+	else {
+		urls = generatedPages.map(function(page) {
+			return getPageUrl(page.filename);
+		});
+	}
+
+	const sitemap = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+	].concat(urls.map(function(url) {
+		return '  <url><loc>' + attributeSafe(url) + '</loc></url>';
+	}), ['</urlset>', '']).join('\n');
+
+	writeOutputFile(path.join(root, 'sitemap.xml'), sitemap);
+	writeOutputFile(path.join(root, 'robots.txt'), 'User-agent: *\nAllow: /\n\nSitemap: ' + baseUrl + 'sitemap.xml\n');
+}
+
+// the reports generated alongside the API, such as the coverage report, which are left out of the
+// print edition
+const reportKinds = ['coverage', 'hierarchy', 'dependencies', 'deprecated', 'whats-new', 'todo'];
+
+/**
+ * Rewrite the links and ids of a page for the single-page print edition: ids are prefixed with
+ * the page's anchor, so that they stay unique, and links to the other pages of the edition
+ * become links within the document. Links to pages that aren't part of it, such as the source
+ * pages, are reduced to their text.
+ *
+ * @param {String} html The rendered page.
+ * @param {String} filename The filename of the page.
+ * @param {Object.<String, String>} anchors The anchor of each page in the edition, by filename.
+ * @return {String}
+ */
+function localisePrintLinks(html, filename, anchors) {
+	function toAnchor(url) {
+		const hashIndex = url.indexOf('#');
+		const file = hashIndex > -1 ? url.slice(0, hashIndex) : url;
+		const fragment = hashIndex > -1 ? url.slice(hashIndex + 1) : '';
+		const anchor = anchors[file || filename];
+
+		if (!anchor) {
+			return null;
+		}
+
+		return '#' + anchor + (fragment ? '--' + fragment : '');
+	}
+
+	return html
+		.replace(/(<[a-zA-Z][^>]*\sid=")([^"]+)"/g, function(match, start, id) {
+			return start + anchors[filename] + '--' + id + '"';
+		})
+		.replace(/<a(\s[^>]*?)?\shref="([^"]*)"([^>]*)>([\s\S]*?)<\/a>/g, function(match, before, url, after, text) {
+			// leave external links as they are
+			if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) {
+				return match;
+			}
+
+			const anchor = toAnchor(url);
+
+			return anchor ? '<a' + (before || '') + ' href="' + anchor + '"' + after + '>' + text + '</a>' : text;
+		});
+}
+
+/**
+ * Find the members, methods, type definitions and events documented on a page of the print
+ * edition, for its table of contents.
+ *
+ * @param {{kind: String, data: Object}} page
+ * @return {Array<Object>} The doclets of the symbols.
+ */
+function getPrintSymbols(page) {
+	const symbolKinds = ['member', 'function', 'typedef', 'event'];
+	let symbols = [];
+
+	if (page.kind === 'Global') {
+		// symbols that are assigned to module.exports are not globals, even though they're not a memberof anything
+		symbols = find({ memberof: { isUndefined: true } }).filter(function(symbol) {
+			return symbol.longname.indexOf('module:') !== 0;
+		});
+	}
+	else if (page.kind !== '' && page.kind !== 'Tutorial') {
+		page.data.docs.forEach(function(doc) {
+			symbols = symbols.concat(find({ memberof: doc.longname }));
+		});
+	}
+
+	return symbols.filter(function(symbol) {
+		return symbolKinds.indexOf(symbol.kind) > -1;
+	});
+}
+
+/**
+ * Build the single-page print edition of the docs, from the pages written by this run, with a
+ * table of contents and links within the document.
+ *
+ * @param {?Object} packageInfo The `package` doclet, if any.
+ * @return {String} The HTML of the print edition.
+ */
+function buildPrintEdition(packageInfo) {
+	const kindOrder = ['', 'Module', 'Class', 'Namespace', 'Mixin', 'Interface', 'External', 'Global', 'Tutorial'];
+	const anchors = {};
+
+	const pages = generatedPages.filter(function(page) {
+		const docKind = page.data.docs && page.data.docs[0] && page.data.docs[0].kind;
+
+		return page.data.kind !== 'source' && reportKinds.indexOf(docKind) === -1;
+	}).map(function(page) {
+		// neither the index page nor the global page have a kind
+		const isGlobalPage = page.data.docs && page.data.docs[0] && page.data.docs[0].kind === 'globalobj';
+		const kind = isGlobalPage ? 'Global' : page.data.kind;
+
+		return {
+			filename: page.filename,
+			template: page.template,
+			data: page.data,
+			kind: kind,
+			title: page.data.title || (kind === '' ? 'Home' : ''),
+		};
+	});
+
+	pages.sort(function(a, b) {
+		return (kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind)) || a.title.localeCompare(b.title);
+	});
+
+	pages.forEach(function(page) {
+		anchors[page.filename] = 'page-' + page.filename.replace(/\.html$/, '').replace(/[^\w-]/g, '_');
+	});
+
+	const sections = pages.map(function(page) {
+		const html = helper.resolveLinks(view.partial(page.template, page.data));
+
+		return {
+			anchor: anchors[page.filename],
+			kind: page.kind,
+			title: page.title,
+			content: localisePrintLinks(html, page.filename, anchors),
+			symbols: getPrintSymbols(page).map(function(symbol) {
+				return {
+					name: symbol.name,
+					anchor: anchors[page.filename] + '--' + symbol.id,
+				};
+			}),
+		};
+	});
+
+	return view.partial('print.tmpl', {
+		env: env,
+		packageInfo: packageInfo,
+		sections: sections,
+	});
+}
+
+// the kinds of symbols that the coverage report expects to be documented
+const coverageKinds = ['class', 'module', 'namespace', 'mixin', 'interface', 'function', 'member',
+	'constant', 'typedef', 'event'];
+
+const sourceTextCache = {};
+
+/**
+ * Read a source file, once however many doclets it has.
+ *
+ * @param {String} filepath
+ * @return {String} The source, or an empty string if it can't be read.
+ */
+function readSourceText(filepath) {
+	if (!hasOwnProp.call(sourceTextCache, filepath)) {
+		try {
+			sourceTextCache[filepath] = fs.readFileSync(filepath, env.opts.encoding || 'utf8');
+		}
+		catch (e) {
+			sourceTextCache[filepath] = '';
+		}
+	}
+
+	return sourceTextCache[filepath];
+}
+
+/**
+ * Read the code that a doclet documents, without its comments.
+ *
+ * @param {Object} doclet
+ * @return {String} The code, or an empty string if it can't be read.
+ */
+function getDocletCode(doclet) {
+	const filepath = getPathFromDoclet(doclet);
+
+	if (!filepath || !doclet.meta.range) {
+		return '';
+	}
+
+	return readSourceText(filepath)
+		.slice(doclet.meta.range[0], doclet.meta.range[1])
+		.replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, '');
+}
+
+/**
+ * Read the code of the constructor of a class: all of it for a function used as a class, or the
+ * body of the `constructor()` of a class declaration, which is empty if it has none, so that the
+ * code of its methods isn't taken for the constructor's.
+ *
+ * @param {Object} doclet
+ * @return {String}
+ */
+function getConstructorCode(doclet) {
+	const code = getDocletCode(doclet);
+
+	if (!/^[^{]*\bclass\b/.test(code)) {
+		return code;
+	}
+
+	const constructor = /\bconstructor\s*\([^]*?\)\s*\{/.exec(code);
+
+	if (!constructor) {
+		return '';
+	}
+
+	const start = constructor.index + constructor[0].length;
+	let depth = 1;
+	let end = start;
+
+	for (; end < code.length && depth; end++) {
+		depth += code[end] === '{' ? 1 : (code[end] === '}' ? -1 : 0);
+	}
+
+	return code.slice(start, end - 1);
+}
+
+/**
+ * List what is missing from the documentation of a symbol. Whether a function returns a value
+ * or throws is a guess from its code, which can't tell the code of nested functions apart.
+ *
+ * @param {Object} doclet
+ * @return {String[]} A description of each problem.
+ */
+function getCoverageIssues(doclet) {
+	const issues = [];
+
+	if (doclet.undocumented) {
+		return ['Not documented'];
+	}
+
+	if (!doclet.description && !doclet.classdesc && !doclet.summary) {
+		issues.push('No description');
+	}
+
+	(doclet.params || []).forEach(function(param) {
+		const name = param.name ? '"' + param.name + '"' : 'without a name';
+
+		if (!param.type || !param.type.names || !param.type.names.length) {
+			issues.push('Parameter ' + name + ' has no type');
+		}
+		if (!param.description) {
+			issues.push('Parameter ' + name + ' has no description');
+		}
+	});
+
+	if (doclet.kind === 'function') {
+		const code = getDocletCode(doclet);
+
+		if (!doclet.returns && (/\breturn\s+[^\s;}]/.test(code) || /^[^{]*=>\s*[^\s{]/.test(code))) {
+			issues.push('Returns a value, but has no @returns');
+		}
+	}
+
+	if ((doclet.kind === 'function' || doclet.kind === 'class') && !doclet.exceptions &&
+		/\bthrow\s/.test(doclet.kind === 'class' ? getConstructorCode(doclet) : getDocletCode(doclet))) {
+		issues.push('Throws, but has no @throws');
+	}
+
+	return issues;
+}
+
+/**
+ * Find the symbols that have no doc comment at all, which {@link module:jsdoc/util/templateHelper.prune}
+ * would otherwise remove. Inner symbols, such as local variables, are left out.
+ *
+ * @param {TAFFY} unprunedData The doclets before they are pruned.
+ * @return {Array<Object>}
+ */
+function findUndocumentedSymbols(unprunedData) {
+	const documented = {};
+
+	unprunedData({ undocumented: { '!is': true } }).each(function(doclet) {
+		documented[doclet.longname] = true;
+	});
+
+	return unprunedData({ undocumented: true }).get().filter(function(doclet) {
+		return coverageKinds.indexOf(doclet.kind) > -1 &&
+			doclet.scope !== 'inner' &&
+			!hasOwnProp.call(documented, doclet.longname) &&
+			doclet.longname.indexOf('<anonymous>') === -1 &&
+			(doclet.access !== 'private' || env.opts.private);
+	}).filter(function(doclet, i, doclets) {
+		// a symbol can be found more than once, such as a class and its constructor
+		return doclets.findIndex(function(other) {
+			return other.longname === doclet.longname;
+		}) === i;
+	});
+}
+
+/**
+ * Build the documentation coverage report for the documented symbols and those found by
+ * {@link findUndocumentedSymbols}.
+ *
+ * @param {Array<Object>} undocumented
+ * @param {?Number} threshold The minimum coverage percentage, if any.
+ * @return {Object}
+ */
+function buildCoverageReport(undocumented, threshold) {
+	const symbols = [];
+	const issueCounts = {};
+
+	data().get().filter(function(doclet) {
+		return coverageKinds.indexOf(doclet.kind) > -1 && !doclet.inherited;
+	}).concat(undocumented).forEach(function(doclet) {
+		const issues = getCoverageIssues(doclet);
+
+		issues.forEach(function(issue) {
+			// count parameter problems as one kind of problem, whichever parameter they are about
+			const kind = issue.replace(/ ("[^"]*"|without a name)/, '');
+			issueCounts[kind] = (issueCounts[kind] || 0) + 1;
+		});
+
+		symbols.push({
+			longname: doclet.longname,
+			kind: doclet.kind,
+			url: helper.longnameToUrl[doclet.longname] || null,
+			file: doclet.meta ? (doclet.meta.shortpath || doclet.meta.filename) : null,
+			line: doclet.meta ? doclet.meta.lineno : null,
+			issues: issues,
+		});
+	});
+
+	const documented = symbols.filter(function(symbol) {
+		return !symbol.issues.length;
+	}).length;
+	const percentage = symbols.length ? Math.floor(documented / symbols.length * 1000) / 10 : 100;
+
+	return {
+		percentage: percentage,
+		threshold: typeof threshold === 'number' ? threshold : null,
+		passed: typeof threshold === 'number' ? percentage >= threshold : true,
+		total: symbols.length,
+		documented: documented,
+		issueCounts: issueCounts,
+		symbols: symbols.filter(function(symbol) {
+			return symbol.issues.length;
+		}).sort(function(a, b) {
+			return String(a.file).localeCompare(String(b.file)) || (a.line - b.line);
+		}),
+	};
+}
+
+// type names that never have a page of their own, so aren't reported as unresolved
+const builtinTypes = ['*', '?', 'any', 'mixed', 'void', 'undefined', 'null', 'this', 'arguments', 'true',
+	'false', 'boolean', 'Boolean', 'number', 'Number', 'bigint', 'BigInt', 'string', 'String', 'symbol',
+	'Symbol', 'object', 'Object', 'function', 'Function', 'Array', 'Date', 'RegExp', 'Promise', 'Map', 'Set',
+	'WeakMap', 'WeakSet', 'Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError',
+	'URIError', 'Iterable', 'Iterator', 'IterableIterator', 'AsyncIterable', 'AsyncIterator', 'Generator',
+	'AsyncGenerator', 'ArrayBuffer', 'SharedArrayBuffer', 'DataView', 'Int8Array', 'Uint8Array',
+	'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array',
+	'Float64Array', 'BigInt64Array', 'BigUint64Array', 'JSON', 'Math', 'Intl', 'Proxy', 'Reflect', 'Buffer',
+	'Window', 'Document', 'Node', 'NodeList', 'Element', 'HTMLElement', 'Event', 'EventTarget', 'Blob',
+	'File', 'URL', 'Request', 'Response', 'Headers'];
+
+/**
+ * Find the names in a type tree, such as `Shape` and `Point` in `Array.<(Shape|Point)>`. The keys
+ * of record types and string and number literals are left out.
+ *
+ * @param {Object} node
+ * @return {String[]}
+ */
+function getTypeReferences(node) {
+	const Types = catharsis.Types;
+
+	switch (node.type) {
+		case Types.NameExpression:
+			return /^(?:module:|external:|event:)?[A-Za-z_$]/.test(node.name) ? [node.name] : [];
+
+		case Types.TypeApplication:
+			return [node.expression].concat(node.applications).reduce(function(names, child) {
+				return names.concat(getTypeReferences(child));
+			}, []);
+
+		case Types.TypeUnion:
+			return node.elements.reduce(function(names, child) {
+				return names.concat(getTypeReferences(child));
+			}, []);
+
+		case Types.RecordType:
+			return node.fields.reduce(function(names, field) {
+				return field.value ? names.concat(getTypeReferences(field.value)) : names;
+			}, []);
+
+		case Types.FunctionType:
+			return [node.new, node.this, node.result].concat(node.params).reduce(function(names, child) {
+				return child ? names.concat(getTypeReferences(child)) : names;
+			}, []);
+
+		default:
+			return [];
+	}
+}
+
+/**
+ * Find the `{@link}` and `{@tutorial}` tags in some text.
+ *
+ * @param {String} text
+ * @return {Array<Object>} The kind of each link, `link` or `tutorial`, and its target.
+ */
+function getInlineLinks(text) {
+	const links = [];
+	const inlineTag = /\{@(link|linkcode|linkplain|tutorial)\s+([^}|\s]+)[^}]*\}/g;
+	let match;
+
+	while ((match = inlineTag.exec(text)) !== null) {
+		links.push({ kind: match[1] === 'tutorial' ? 'tutorial' : 'link', target: match[2] });
+	}
+
+	return links;
+}
+
+/**
+ * Find what a doclet links to: its `{@link}` and `{@tutorial}` tags, `@see`, `@fires`, `@listens`
+ * and `@tutorial` tags, and the names in its types.
+ *
+ * @param {Object} doclet
+ * @return {Array<Object>} The kind of each link and its target.
+ */
+function getDocletLinks(doclet) {
+	const links = [];
+	const texts = [doclet.description, doclet.classdesc, doclet.summary, doclet.deprecated]
+		.concat(doclet.todo || []);
+
+	[doclet].concat(doclet.params || [], doclet.properties || [], doclet.returns || [], doclet.yields || [],
+		doclet.exceptions || []).forEach(function(item) {
+		if (item !== doclet) {
+			texts.push(item.description);
+		}
+
+		if (item.type && item.type.names) {
+			getTypeTrees(item.type).forEach(function(tree) {
+				getTypeReferences(tree).forEach(function(name) {
+					links.push({ kind: 'type', target: name });
+				});
+			});
+		}
+	});
+
+	(doclet.see || []).forEach(function(see) {
+		if (/\{@/.test(see)) {
+			texts.push(see);
+		}
+		// anything else with spaces is a description, rather than a name
+		else if (!/\s/.test(see.trim()) && !/^<?(http|ftp)s?:\/\//.test(see)) {
+			links.push({ kind: 'see', target: see.trim() });
+		}
+	});
+
+	(doclet.fires || []).concat(doclet.listens || []).forEach(function(event) {
+		links.push({ kind: 'event', target: event });
+	});
+
+	(doclet.tutorials || []).forEach(function(tutorial) {
+		links.push({ kind: 'tutorial', target: tutorial });
+	});
+
+	texts.forEach(function(text) {
+		if (typeof text === 'string') {
+			links.push.apply(links, getInlineLinks(text));
+		}
+	});
+
+	return links;
+}
+
+function isResolvedLink(link) {
+	if (link.kind === 'tutorial') {
+		return Boolean(linkCheck.tutorials.getByName(link.target));
+	}
+
+	return /^(http|ftp)s?:\/\//.test(link.target) ||
+		hasOwnProp.call(helper.longnameToUrl, link.target) ||
+		hasOwnProp.call(linkCheck.ignore, link.target) ||
+		(link.kind === 'type' && builtinTypes.indexOf(link.target) > -1);
+}
+
+/**
+ * Record the links that don't lead anywhere, in the doclets on a page or in the text of a readme
+ * or tutorial. Each is recorded once, however many pages it is on.
+ *
+ * @param {Array<Object>} links
+ * @param {String} file The file the links are written in.
+ * @param {?Number} line
+ * @param {String} context The symbol or page the links are on.
+ */
+function recordUnresolvedLinks(links, file, line, context) {
+	links.filter(function(link) {
+		return !isResolvedLink(link);
+	}).forEach(function(link) {
+		const key = [link.kind, link.target, file, line].join('\n');
+
+		if (!hasOwnProp.call(linkCheck.seen, key)) {
+			linkCheck.seen[key] = true;
+			linkCheck.unresolved.push({
+				kind: link.kind,
+				target: link.target,
+				file: file,
+				line: line,
+				context: context,
+			});
+		}
+	});
+}
+
+/**
+ * Find the file the readme is read from, for reporting its links. By the time the template runs,
+ * JSDoc has replaced the `readme` option with the rendered readme, so the path is only known when
+ * it's configured.
+ *
+ * @return {String}
+ */
+function getReadmePath() {
+	const readme = env.conf.opts && env.conf.opts.readme;
+
+	return readme ? path.relative(env.pwd || process.cwd(), path.resolve(env.pwd || process.cwd(), readme)) : 'README';
+}
+
+/**
+ * Find the file a tutorial is read from, for reporting its links. JSDoc names each tutorial after
+ * its file, without the extension, and doesn't keep the path.
+ *
+ * @param {String} name
+ * @return {String}
+ */
+function getTutorialPath(name) {
+	const tutorialsDir = env.opts.tutorials;
+	const file = tutorialsDir ? fs.ls(tutorialsDir, env.opts.recurse ? env.conf.recurseDepth : undefined)
+		.filter(function(filepath) {
+			const match = /^(.*)\.(x(?:ht)?ml|html?|md|markdown)$/i.exec(filepath);
+
+			return match && path.basename(match[1]) === name;
+		})[0] : null;
+
+	return file ? path.relative(env.pwd || process.cwd(), file) : 'tutorial ' + name;
+}
+
+/**
+ * Check the links of the doclets that {@link generate} renders on a page, which are the doclets
+ * it is passed and their members.
+ *
+ * @param {Array<Object>} docs
+ */
+function checkPageLinks(docs) {
+	docs.forEach(function(doc) {
+		let doclets = [];
+
+		if (doc.kind === 'mainpage') {
+			if (doc.readme) {
+				recordUnresolvedLinks(getInlineLinks(doc.readme), getReadmePath(), null, 'readme');
+			}
+		}
+		else if (doc.kind === 'globalobj') {
+			doclets = find({ memberof: { isUndefined: true }, kind: { '!is': ['file', 'package'] } });
+		}
+		else if (doc.meta) {
+			doclets = [doc].concat(find({ memberof: doc.longname }));
+		}
+
+		doclets.filter(function(doclet) {
+			// inherited and mixed in doclets are checked where they are declared
+			return doclet.meta && !doclet.inherited && !doclet.mixed;
+		}).forEach(function(doclet) {
+			recordUnresolvedLinks(getDocletLinks(doclet),
+				path.relative(env.pwd || process.cwd(), getPathFromDoclet(doclet)),
+				doclet.meta.lineno, doclet.longname);
+		});
+	});
+}
+
+/**
+ * Log the unresolved links found while generating the pages. In strict mode, the build fails if
+ * there are any.
+ */
+function reportUnresolvedLinks() {
+	const labels = { link: 'link to', see: '@see reference to', event: 'event', tutorial: 'tutorial', type: 'type' };
+
+	linkCheck.unresolved.forEach(function(link) {
+		logger.warn('Unresolved %s "%s" in %s (%s)', labels[link.kind], link.target,
+			link.file + (link.line ? ':' + link.line : ''), link.context);
+	});
+
+	if (linkCheck.strict && linkCheck.unresolved.length) {
+		// logging an error makes JSDoc exit with a non-zero code
+		logger.error('Found %s unresolved links', linkCheck.unresolved.length);
+	}
+}
+
+/**
+ * Make the ids of the symbols on each page unique and stable, for permalinks. JSDoc gives
+ * overloads that share a longname the same id, and appends the variation of a function to its
+ * name, so `over(1)` can take the id of a function named `over1`. Variations are separated from
+ * the name by a hyphen instead, which a name can't contain, and overloads are numbered in the
+ * order of the source.
+ */
+function makeIdsUnique() {
+	const pageIds = {};
+	const seenLongnames = {};
+
+	data().get().filter(function(doclet) {
+		return doclet.id && helper.longnameToUrl[doclet.longname].indexOf('#') > -1;
+	}).sort(function(a, b) {
+		const aPath = getPathFromDoclet(a) || '';
+		const bPath = getPathFromDoclet(b) || '';
+
+		return aPath.localeCompare(bPath) || ((a.meta ? a.meta.lineno : 0) - (b.meta ? b.meta.lineno : 0));
+	}).forEach(function(doclet) {
+		const page = helper.longnameToUrl[doclet.longname].split('#')[0];
+		const ids = pageIds[page] = pageIds[page] || {};
+		const variation = doclet.variation ? String(doclet.variation) : '';
+		let id = doclet.id;
+
+		if (variation && id.slice(-variation.length) === variation) {
+			id = id.slice(0, -variation.length) + '-' + variation;
+		}
+
+		let uniqueId = id;
+
+		// ids that differ only in case are not unique, as in JSDoc
+		for (let n = 2; hasOwnProp.call(ids, uniqueId.toLowerCase()); n++) {
+			uniqueId = id + '-' + n;
+		}
+
+		ids[uniqueId.toLowerCase()] = true;
+		doclet.id = uniqueId;
+
+		// links to a longname lead to the first of its doclets
+		if (!hasOwnProp.call(seenLongnames, doclet.longname)) {
+			seenLongnames[doclet.longname] = true;
+			helper.longnameToUrl[doclet.longname] = page + '#' + uniqueId;
+		}
+	});
+}
+
+// the ids of the elements of the layout, which the headings of a readme or tutorial can't take
+const layoutIds = ['nav-toggle', 'nav-overlay', 'layout-header', 'theme-toggle', 'version-switcher', 'search-input',
+	'search-results', 'layout-nav', 'nav-filter', 'page-toc', 'page-toc-title', 'prism-theme-light',
+	'prism-theme-dark', 'clipboard-status'];
+
+/**
+ * Build the link to a heading, which the reader can also click to copy its address.
+ *
+ * @param {String} id The id of the heading, URL-encoded.
+ * @param {String} label What the heading is of, for screen readers.
+ * @return {String}
+ */
+function buildPermalink(id, label) {
+	return '<a class="permalink" href="#' + attributeSafe(id) + '" aria-label="' +
+		attributeSafe('Copy link to ' + label) + '" title="Copy link">#</a>';
+}
+
+/**
+ * Give each heading of a readme or tutorial an id made from its text, unless it has one, and a
+ * permalink.
+ *
+ * @param {String} html
+ * @return {String}
+ */
+function addHeadingPermalinks(html) {
+	const ids = {};
+
+	layoutIds.forEach(function(id) {
+		ids[id] = true;
+	});
+
+	return html.replace(/<h([1-6])(\s[^>]*)?>([\s\S]*?)<\/h\1>/gi, function(match, level, attributes, content) {
+		const existingId = /\sid="([^"]*)"/.exec(attributes || '');
+		const text = toPlainText(content);
+		let id = existingId ? existingId[1] : null;
+
+		if (!id) {
+			const slug = text.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-') || 'section';
+
+			id = slug;
+			for (let n = 2; hasOwnProp.call(ids, id); n++) {
+				id = slug + '-' + n;
+			}
+			attributes = (attributes || '') + ' id="' + id + '"';
+		}
+
+		ids[id] = true;
+
+		return '<h' + level + (attributes || '') + '>' + content + buildPermalink(id, text) + '</h' + level + '>';
+	});
+}
+
+/**
+ * Split the text of an `@example` tag into its caption and code, and work out whether it can be
+ * run in the playground. An example can be opted in with a `<run>` marker, or out with
+ * `<norun>`, before or after its caption.
+ *
+ * @param {String} example
+ * @param {?Object} playground The playground settings, or null if examples can't be run.
+ * @return {Object}
+ */
+function parseExample(example, playground) {
+	const prefix = /^\s*(?:<caption>([\s\S]+?)<\/caption>|<(run|norun)>)[ \t]*/i;
+	let caption = '';
+	let runnable = playground ? playground.runAll : false;
+	let code = example;
+	let match;
+
+	while ((match = prefix.exec(code)) !== null) {
+		if (match[1] !== undefined) {
+			caption = match[1];
+		}
+		else {
+			runnable = match[2].toLowerCase() === 'run';
+		}
+		code = code.slice(match[0].length);
+	}
+
+	if (code !== example) {
+		code = code.replace(/^\s*[\n\r]/, '');
+	}
+
+	return {
+		caption: caption,
+		code: code,
+		runnable: Boolean(playground) && runnable,
+	};
+}
+
+// the size of the boxes of a diagram, in pixels; labels are set in the code font, so that their
+// width can be worked out from their length
+const diagramLayout = {
+	charWidth: 7.2,
+	padding: 12,
+	lineHeight: 16,
+	rowGap: 40,
+	columnGap: 24,
+	margin: 8,
+};
+
+/**
+ * Get the label of a symbol in a diagram: its name if it's documented, otherwise its longname
+ * without a `module:` or `external:` prefix.
+ *
+ * @param {String} longname
+ * @return {String}
+ */
+function getDiagramLabel(longname) {
+	const doclet = find({ longname: longname })[0];
+
+	return doclet ? doclet.name : longname.replace(/^(module|external):/, '');
+}
+
+/**
+ * Lay out rows of nodes as boxes, centring each row, and draw them and the edges between them as
+ * an SVG. Nodes with a `url` are linked, and the edges point from a node to the one it names as
+ * its `to`, with a hollow arrowhead.
+ *
+ * @param {Array<Array<Object>>} rows The nodes of each row, from the top, each with a `key`,
+ * a `label`, and optionally a `tag` shown above the label, a `url` and a `className`.
+ * @param {Array<Object>} edges Each with the `from` and `to` keys of its nodes, and a `className`.
+ * @param {String} label The accessible name of the diagram.
+ * @param {String} className
+ * @return {String}
+ */
+function buildDiagramSvg(rows, edges, label, className) {
+	const layout = diagramLayout;
+	const boxes = {};
+	let height = layout.margin;
+	let width = 0;
+
+	const rowBoxes = rows.map(function(row, rowIndex) {
+		const rowHeight = Math.max.apply(null, row.map(function(node) {
+			return (node.tag ? 2 : 1) * layout.lineHeight + layout.padding;
+		}));
+		let x = 0;
+
+		// the boxes of a row are aligned at the bottom, where the edges to the row above start
+		const rowNodes = row.map(function(node) {
+			const textLength = Math.max(node.label.length, node.tag ? node.tag.length : 0);
+			const boxHeight = (node.tag ? 2 : 1) * layout.lineHeight + layout.padding;
+			const box = {
+				node: node,
+				row: rowIndex,
+				x: x,
+				y: height + rowHeight - boxHeight,
+				width: Math.ceil(textLength * layout.charWidth) + 2 * layout.padding,
+				height: boxHeight,
+			};
+
+			x += box.width + layout.columnGap;
+			boxes[node.key] = box;
+			return box;
+		});
+
+		height += rowHeight + layout.rowGap;
+		width = Math.max(width, x - layout.columnGap);
+		return rowNodes;
+	});
+
+	height += layout.margin - layout.rowGap;
+	width += 2 * layout.margin;
+
+	// centre each row
+	rowBoxes.forEach(function(row) {
+		const last = row[row.length - 1];
+		const offset = (width - (last.x + last.width)) / 2;
+
+		row.forEach(function(box) {
+			box.x += offset;
+		});
+	});
+
+	const edgesSvg = edges.filter(function(edge) {
+		return boxes[edge.from] && boxes[edge.to] && edge.from !== edge.to;
+	}).map(function(edge) {
+		const from = boxes[edge.from];
+		const to = boxes[edge.to];
+		// edges usually point up a row, but can point down, as in a loop, or along a row
+		const isUp = to.row < from.row;
+		const isDown = to.row > from.row;
+		const isRight = to.x > from.x;
+		const x1 = (isUp || isDown) ? from.x + from.width / 2 : from.x + (isRight ? from.width : 0);
+		const y1 = isUp ? from.y : (isDown ? from.y + from.height : from.y + from.height / 2);
+		const x2 = (isUp || isDown) ? to.x + to.width / 2 : to.x + (isRight ? 0 : to.width);
+		const y2 = isUp ? to.y + to.height : (isDown ? to.y : to.y + to.height / 2);
+		const length = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2)) || 1;
+		const ux = (x2 - x1) / length;
+		const uy = (y2 - y1) / length;
+		const baseX = x2 - ux * 10;
+		const baseY = y2 - uy * 10;
+
+		function point(x, y) {
+			return x.toFixed(1) + ',' + y.toFixed(1);
+		}
+
+		return '<g class="diagram-edge ' + edge.className + '">' +
+			'<line x1="' + x1.toFixed(1) + '" y1="' + y1.toFixed(1) + '" x2="' + baseX.toFixed(1) +
+				'" y2="' + baseY.toFixed(1) + '"/>' +
+			'<polygon points="' + [point(x2, y2), point(baseX - uy * 6, baseY + ux * 6),
+				point(baseX + uy * 6, baseY - ux * 6)].join(' ') + '"/>' +
+			'</g>';
+	});
+
+	const nodesSvg = Object.keys(boxes).map(function(key) {
+		const box = boxes[key];
+		const node = box.node;
+		const centre = (box.x + box.width / 2).toFixed(1);
+		const textY = box.y + box.height - layout.padding / 2 - 4;
+		let svg = '<g class="diagram-node' + (node.className ? ' ' + node.className : '') + '">' +
+			'<rect x="' + box.x.toFixed(1) + '" y="' + box.y + '" width="' + box.width + '" height="' +
+				box.height + '" rx="4"/>';
+
+		if (node.tag) {
+			svg += '<text class="diagram-node-tag" x="' + centre + '" y="' + (textY - layout.lineHeight) +
+				'" text-anchor="middle">' + attributeSafe(node.tag) + '</text>';
+		}
+
+		svg += '<text x="' + centre + '" y="' + textY + '" text-anchor="middle">' + attributeSafe(node.label) +
+			'</text></g>';
+
+		return node.url ? '<a href="' + attributeSafe(node.url) + '">' + svg + '</a>' : svg;
+	});
+
+	return '<svg class="diagram ' + className + '" xmlns="http://www.w3.org/2000/svg" width="' + width +
+		'" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '" role="group" aria-label="' +
+		attributeSafe(label) + '">' + edgesSvg.join('') + nodesSvg.join('') + '</svg>';
+}
+
+/**
+ * Find the documented classes that extend a class directly.
+ *
+ * @param {String} longname
+ * @return {Array<Object>}
+ */
+function findSubclasses(longname) {
+	return find({ kind: 'class' }).filter(function(doclet) {
+		return (doclet.augments || []).indexOf(longname) > -1;
+	});
+}
+
+/**
+ * Draw the inheritance diagram of a class: its ancestors, the mixins it mixes in and the
+ * interfaces it implements above it, and the classes that extend it below it.
+ *
+ * @param {Object} doclet
+ * @return {?String} The SVG, or null if the class neither extends nor is extended by anything.
+ */
+function buildInheritanceDiagram(doclet) {
+	if (doclet.kind !== 'class') {
+		return null;
+	}
+
+	const subclasses = findSubclasses(doclet.longname);
+	const edges = [];
+	// how far above the class each ancestor is; one that can be reached in several ways is placed
+	// above the furthest way, so that every edge points upwards
+	const levels = {};
+
+	function addNode(longname, level, kind) {
+		levels[longname] = {
+			level: Math.max(level, levels[longname] ? levels[longname].level : 0),
+			kind: kind,
+		};
+	}
+
+	function addAncestors(longname, level) {
+		// a loop of @augments tags can't be drawn
+		if (level > 20) {
+			return;
+		}
+
+		const ancestor = find({ longname: longname })[0];
+
+		((ancestor && ancestor.augments) || []).forEach(function(parent) {
+			edges.push({ from: longname, to: parent, className: 'is-augments' });
+			addNode(parent, level + 1, 'class');
+			addAncestors(parent, level + 1);
+		});
+	}
+
+	addAncestors(doclet.longname, 0);
+
+	(doclet.mixes || []).forEach(function(mixin) {
+		edges.push({ from: doclet.longname, to: mixin, className: 'is-mixes' });
+		addNode(mixin, 1, 'mixin');
+	});
+
+	(doclet.implements || []).forEach(function(iface) {
+		edges.push({ from: doclet.longname, to: iface, className: 'is-implements' });
+		addNode(iface, 1, 'interface');
+	});
+
+	if (!Object.keys(levels).length && !subclasses.length) {
+		return null;
+	}
+
+	const tags = { mixin: '«mixin»', interface: '«interface»' };
+	const rows = [];
+
+	Object.keys(levels).forEach(function(longname) {
+		const level = levels[longname].level;
+		const kind = levels[longname].kind;
+
+		rows[level] = rows[level] || [];
+		rows[level].push({
+			key: longname,
+			label: getDiagramLabel(longname),
+			tag: tags[kind],
+			url: helper.longnameToUrl[longname],
+			className: 'is-' + kind + (helper.longnameToUrl[longname] ? '' : ' is-undocumented'),
+		});
+	});
+
+	rows[0] = [{ key: doclet.longname, label: doclet.name, className: 'is-class is-current' }];
+
+	subclasses.forEach(function(subclass) {
+		edges.push({ from: subclass.longname, to: doclet.longname, className: 'is-augments' });
+	});
+
+	const allRows = rows.filter(Boolean).reverse();
+
+	if (subclasses.length) {
+		allRows.push(subclasses.map(function(subclass) {
+			return {
+				key: subclass.longname,
+				label: subclass.name,
+				url: helper.longnameToUrl[subclass.longname],
+				className: 'is-class',
+			};
+		}));
+	}
+
+	return buildDiagramSvg(allRows, edges, 'Inheritance of ' + doclet.name, 'inheritance-diagram');
+}
+
+/**
+ * Arrange the documented classes as trees, by the classes they extend. A class that extends a
+ * class that isn't documented, such as one from a dependency, is put under a node for it.
+ *
+ * @return {Array<Object>} The roots, each with its `longname`, its `label`, the longnames it
+ * `implements` and `mixes`, its `children`, and whether it closes a loop of classes extending
+ * each other (`isLoop`).
+ */
+function buildClassHierarchy() {
+	const classes = find({ kind: 'class' });
+	const nodes = {};
+	const roots = [];
+
+	function getNode(longname, doclet) {
+		if (!nodes[longname]) {
+			nodes[longname] = {
+				longname: longname,
+				label: doclet ? doclet.name : getDiagramLabel(longname),
+				implements: (doclet && doclet.implements) || [],
+				mixes: (doclet && doclet.mixes) || [],
+				children: [],
+				hasParent: false,
+			};
+		}
+
+		return nodes[longname];
+	}
+
+	classes.forEach(function(doclet) {
+		const node = getNode(doclet.longname, doclet);
+
+		(doclet.augments || []).forEach(function(parent) {
+			getNode(parent, find({ longname: parent, kind: 'class' })[0]).children.push(node);
+			node.hasParent = true;
+		});
+	});
+
+	function byLabel(a, b) {
+		return a.label.localeCompare(b.label);
+	}
+
+	const reached = {};
+
+	// the templates render the tree recursively, so a class that extends itself through others is
+	// shown where the loop closes, but not followed
+	function buildTree(node, path) {
+		const isLoop = path.indexOf(node.longname) > -1;
+
+		reached[node.longname] = true;
+
+		return {
+			longname: node.longname,
+			label: node.label,
+			implements: node.implements,
+			mixes: node.mixes,
+			isLoop: isLoop,
+			children: isLoop ? [] : node.children.slice().sort(byLabel).map(function(child) {
+				return buildTree(child, path.concat(node.longname));
+			}),
+		};
+	}
+
+	const sortedNodes = Object.keys(nodes).map(function(longname) {
+		return nodes[longname];
+	}).sort(byLabel);
+
+	sortedNodes.forEach(function(node) {
+		if (!node.hasParent) {
+			roots.push(buildTree(node, []));
+		}
+	});
+
+	// the classes in a loop have no root, so the first of each loop not reached yet becomes one
+	sortedNodes.forEach(function(node) {
+		if (!reached[node.longname]) {
+			roots.push(buildTree(node, []));
+		}
+	});
+
+	return roots.sort(byLabel);
+}
+
+/**
+ * Find the documented modules that require a module.
+ *
+ * @param {String} longname
+ * @return {Array<Object>}
+ */
+function findDependents(longname) {
+	return find({ kind: 'module' }).filter(function(doclet) {
+		return (doclet.requires || []).indexOf(longname) > -1;
+	});
+}
+
+/**
+ * Find the groups of modules that require each other, directly or through other modules, with
+ * Tarjan's algorithm for strongly connected components.
+ *
+ * @param {Object.<String, String[]>} dependencies The longnames each module requires, by longname.
+ * @return {Array<String[]>} The longnames of the modules in each loop.
+ */
+function findDependencyCycles(dependencies) {
+	const indexes = {};
+	const lowLinks = {};
+	const onStack = {};
+	const stack = [];
+	const cycles = [];
+	let index = 0;
+
+	function visit(longname) {
+		indexes[longname] = lowLinks[longname] = index++;
+		stack.push(longname);
+		onStack[longname] = true;
+
+		dependencies[longname].forEach(function(dependency) {
+			if (!hasOwnProp.call(indexes, dependency)) {
+				visit(dependency);
+				lowLinks[longname] = Math.min(lowLinks[longname], lowLinks[dependency]);
+			}
+			else if (onStack[dependency]) {
+				lowLinks[longname] = Math.min(lowLinks[longname], indexes[dependency]);
+			}
+		});
+
+		if (lowLinks[longname] === indexes[longname]) {
+			const component = [];
+			let member;
+
+			do {
+				member = stack.pop();
+				onStack[member] = false;
+				component.push(member);
+			} while (member !== longname);
+
+			if (component.length > 1 || dependencies[longname].indexOf(longname) > -1) {
+				cycles.push(component.sort());
+			}
+		}
+	}
+
+	Object.keys(dependencies).forEach(function(longname) {
+		if (!hasOwnProp.call(indexes, longname)) {
+			visit(longname);
+		}
+	});
+
+	return cycles;
+}
+
+/**
+ * Work out the row of each module in the dependency graph, below all the modules it requires.
+ * A loop is broken where it is found, so that the dependency that closes it points down.
+ *
+ * @param {Object.<String, String[]>} dependencies The longnames each module requires, by longname.
+ * @return {Object.<String, Number>} The row of each module, from the top.
+ */
+function getDependencyLevels(dependencies) {
+	const levels = {};
+	const visiting = {};
+
+	function getLevel(longname) {
+		if (hasOwnProp.call(levels, longname)) {
+			return levels[longname];
+		}
+
+		let level = 0;
+
+		visiting[longname] = true;
+		dependencies[longname].forEach(function(dependency) {
+			if (!visiting[dependency]) {
+				level = Math.max(level, getLevel(dependency) + 1);
+			}
+		});
+		visiting[longname] = false;
+
+		levels[longname] = level;
+		return level;
+	}
+
+	Object.keys(dependencies).forEach(getLevel);
+
+	return levels;
+}
+
+/**
+ * Build the graph of the modules and what they require, including required modules that aren't
+ * documented, such as those of dependencies.
+ *
+ * @return {Object} The `svg` of the graph, the longnames of the modules in each loop as `cycles`,
+ * and each documented module with what it `requires` and is `requiredBy`, as `modules`.
+ */
+function buildDependencyGraph() {
+	const modules = find({ kind: 'module' });
+	const dependencies = {};
+
+	modules.forEach(function(module) {
+		(module.requires || []).forEach(function(dependency) {
+			dependencies[dependency] = dependencies[dependency] || [];
+		});
+	});
+	modules.forEach(function(module) {
+		dependencies[module.longname] = (module.requires || []).slice();
+	});
+
+	const cycles = findDependencyCycles(dependencies);
+	const levels = getDependencyLevels(dependencies);
+	const cycleIndexes = {};
+	const rows = [];
+	const edges = [];
+
+	cycles.forEach(function(cycle, i) {
+		cycle.forEach(function(longname) {
+			cycleIndexes[longname] = i;
+		});
+	});
+
+	function isInCycle(longname) {
+		return hasOwnProp.call(cycleIndexes, longname);
+	}
+
+	Object.keys(dependencies).forEach(function(longname) {
+		const level = levels[longname];
+		const isDocumented = hasOwnProp.call(helper.longnameToUrl, longname);
+
+		rows[level] = rows[level] || [];
+		rows[level].push({
+			key: longname,
+			label: getDiagramLabel(longname),
+			url: helper.longnameToUrl[longname],
+			className: 'is-module' + (isDocumented ? '' : ' is-undocumented') + (isInCycle(longname) ? ' is-cycle' : ''),
+		});
+
+		dependencies[longname].forEach(function(dependency) {
+			const isCycle = isInCycle(longname) && cycleIndexes[longname] === cycleIndexes[dependency];
+
+			edges.push({ from: longname, to: dependency, className: 'is-requires' + (isCycle ? ' is-cycle' : '') });
+		});
+	});
+
+	// order each row by where the modules it requires are, to keep the edges from crossing
+	const positions = {};
+
+	rows.forEach(function(row) {
+		row.forEach(function(node) {
+			const placed = dependencies[node.key].filter(function(dependency) {
+				return hasOwnProp.call(positions, dependency);
+			});
+
+			node.position = placed.length ? placed.reduce(function(sum, dependency) {
+				return sum + positions[dependency];
+			}, 0) / placed.length : 0.5;
+		});
+
+		row.sort(function(a, b) {
+			return (a.position - b.position) || a.label.localeCompare(b.label);
+		});
+
+		row.forEach(function(node, i) {
+			positions[node.key] = (i + 0.5) / row.length;
+		});
+	});
+
+	return {
+		svg: buildDiagramSvg(rows.filter(Boolean), edges, 'Module dependencies', 'dependency-graph'),
+		cycles: cycles,
+		modules: modules.map(function(module) {
+			return {
+				longname: module.longname,
+				requires: module.requires || [],
+				requiredBy: findDependents(module.longname).map(function(dependent) {
+					return dependent.longname;
+				}),
+			};
+		}).sort(function(a, b) {
+			return a.longname.localeCompare(b.longname);
+		}),
+	};
+}
+
+/**
+ * Build the badge that marks a deprecated symbol, in its heading and in the navigation sidebar.
+ *
+ * @param {Object} [doclet] The symbol; the badge is only built when it is deprecated, if given.
+ * @return {String}
+ */
+function buildDeprecatedBadge(doclet) {
+	if (doclet && !doclet.deprecated) {
+		return '';
+	}
+
+	return '<span class="deprecated-badge" title="Deprecated">deprecated</span>';
+}
+
+/**
+ * Gather the deprecated symbols, grouped by the module, class or other symbol they're a member
+ * of. Inherited members are listed only where they're documented.
+ *
+ * @return {Array<Object>} Each group, with the `longname` of the symbol it's for, or null for
+ * the symbols that aren't members of anything, and its `symbols`.
+ */
+function buildDeprecationReport() {
+	const groups = {};
+
+	find({ deprecated: { isUndefined: false } }).forEach(function(doclet) {
+		if (!doclet.deprecated || doclet.inherited) {
+			return;
+		}
+
+		const key = doclet.memberof || '';
+
+		groups[key] = groups[key] || {
+			longname: doclet.memberof || null,
+			label: doclet.memberof ? getDiagramLabel(doclet.memberof) : 'Global',
+			symbols: [],
+		};
+
+		groups[key].symbols.push({
+			longname: doclet.longname,
+			name: doclet.name,
+			kind: doclet.kind,
+			message: doclet.deprecated === true ? '' : doclet.deprecated,
+			since: doclet.since || null,
+		});
+	});
+
+	return Object.keys(groups).map(function(key) {
+		groups[key].symbols.sort(function(a, b) {
+			return a.name.localeCompare(b.name);
+		});
+
+		return groups[key];
+	}).sort(function(a, b) {
+		// the global symbols come last
+		return (!a.longname - !b.longname) || a.label.localeCompare(b.label);
+	});
+}
+
+/**
+ * Build the badge that marks a symbol added in the version of the package being documented.
+ *
+ * @param {Object} doclet
+ * @return {String}
+ */
+function buildNewBadge(doclet) {
+	if (!packageVersion || !doclet.since || compareVersions(doclet.since, packageVersion) !== 0) {
+		return '';
+	}
+
+	return '<span class="new-badge" title="New in ' + attributeSafe(packageVersion) + '">new</span>';
+}
+
+/**
+ * Gather the symbols tagged with `@since`, grouped by the version they were added in, newest first.
+ * Inherited members are listed only where they're documented.
+ *
+ * @return {Array<Object>} Each version, with whether it's the version of the package being
+ * documented, and its `symbols`.
+ */
+function buildReleaseNotes() {
+	const versions = {};
+
+	find({ since: { isUndefined: false } }).forEach(function(doclet) {
+		if (doclet.inherited || doclet.kind === 'package') {
+			return;
+		}
+
+		const since = String(doclet.since).trim();
+
+		versions[since] = versions[since] || {
+			version: since,
+			isCurrent: Boolean(packageVersion) && compareVersions(since, packageVersion) === 0,
+			symbols: [],
+		};
+
+		versions[since].symbols.push({
+			longname: doclet.longname,
+			label: doclet.longname.replace(/^module:/, ''),
+			kind: doclet.kind,
+		});
+	});
+
+	return Object.keys(versions).map(function(key) {
+		versions[key].symbols.sort(function(a, b) {
+			return a.label.localeCompare(b.label);
+		});
+
+		return versions[key];
+	}).sort(function(a, b) {
+		return compareVersions(b.version, a.version);
+	});
+}
+
+/**
+ * Gather the `@todo` notes of every symbol, grouped by the file the symbol is documented in, in
+ * the order of the source. Inherited members are listed only where they're documented.
+ *
+ * @return {Array<Object>} Each file, with its `path` (null for the symbols without one) and the
+ * `symbols` in it that have notes.
+ */
+function buildTodoList() {
+	const files = {};
+
+	find({ todo: { isUndefined: false } }).forEach(function(doclet) {
+		if (!doclet.todo.length || doclet.inherited) {
+			return;
+		}
+
+		const file = doclet.meta ? (doclet.meta.shortpath || doclet.meta.filename) : '';
+
+		files[file] = files[file] || {
+			path: file || null,
+			symbols: [],
+		};
+
+		files[file].symbols.push({
+			longname: doclet.longname,
+			kind: doclet.kind,
+			line: doclet.meta ? doclet.meta.lineno : null,
+			todo: doclet.todo,
+		});
+	});
+
+	return Object.keys(files).sort().map(function(file) {
+		files[file].symbols.sort(function(a, b) {
+			return (a.line || 0) - (b.line || 0);
+		});
+
+		return files[file];
+	});
+}
+
+/**
+ * Start an incremental build: read the manifest of the files written by the previous build to
+ * `outdir`, so that files whose content hasn't changed since are left as they are.
+ */
+function loadBuildManifest() {
+	let previous = {};
+
+	try {
+		previous = JSON.parse(fs.readFileSync(path.join(outdir, buildManifestFilename), 'utf8')).files || {};
+	}
+	catch (e) {
+		// without a manifest, every file is written
+	}
+
+	buildManifest = {
+		previous: previous,
+		files: {},
+		added: [],
+		changed: [],
+	};
+}
+
+/**
+ * Write a file of the output, unless it already has the same content. Files in `outdir` are
+ * compared by their hash in the build manifest, and files outside of it, such as the versions
+ * manifest, by their content on disk.
+ *
+ * @param {String} filepath
+ * @param {(String|Buffer)} content
+ */
+function writeOutputFile(filepath, content) {
+	if (!buildManifest) {
+		fs.writeFileSync(filepath, content, 'utf8');
+		return;
+	}
+
+	const relativePath = path.relative(outdir, filepath).split(path.sep).join('/');
+
+	if (/^\.\.(\/|$)/.test(relativePath) || path.isAbsolute(relativePath)) {
+		if (!fs.existsSync(filepath) || !fs.readFileSync(filepath).equals(Buffer.from(content))) {
+			fs.writeFileSync(filepath, content, 'utf8');
+		}
+		return;
+	}
+
+	const hash = crypto.createHash('sha1').update(content).digest('hex');
+	const exists = fs.existsSync(filepath);
+
+	buildManifest.files[relativePath] = hash;
+
+	if (exists && buildManifest.previous[relativePath] === hash) {
+		return;
+	}
+
+	buildManifest[hasOwnProp.call(buildManifest.previous, relativePath) ? 'changed' : 'added'].push(relativePath);
+	fs.writeFileSync(filepath, content, 'utf8');
+}
+
+/**
+ * Copy a file to a directory of the output, unless it's unchanged there.
+ *
+ * @param {String} fileName
+ * @param {String} toDir
+ */
+function copyOutputFile(fileName, toDir) {
+	if (!buildManifest) {
+		fs.copyFileSync(fileName, toDir);
+		return;
+	}
+
+	writeOutputFile(path.join(toDir, path.basename(fileName)), fs.readFileSync(fileName));
+}
+
+/**
+ * Finish an incremental build: delete the files of the previous build that this one didn't
+ * write, such as the pages of removed symbols, save the manifest, and log what changed.
+ */
+function saveBuildManifest() {
+	const removed = Object.keys(buildManifest.previous).filter(function(file) {
+		return !hasOwnProp.call(buildManifest.files, file);
+	});
+
+	removed.forEach(function(file) {
+		const filepath = path.join(outdir, file);
+
+		if (fs.existsSync(filepath)) {
+			fs.unlinkSync(filepath);
+		}
+	});
+
+	fs.writeFileSync(path.join(outdir, buildManifestFilename),
+		JSON.stringify({ files: buildManifest.files }, null, 2) + '\n', 'utf8');
+
+	buildManifest.added.forEach(function(file) {
+		logger.debug('Added %s', file);
+	});
+	buildManifest.changed.forEach(function(file) {
+		logger.debug('Changed %s', file);
+	});
+	removed.forEach(function(file) {
+		logger.debug('Removed %s', file);
+	});
+
+	logger.info('Incremental build: %s added, %s changed, %s removed, %s unchanged', buildManifest.added.length,
+		buildManifest.changed.length, removed.length,
+		Object.keys(buildManifest.files).length - buildManifest.added.length - buildManifest.changed.length);
+}
+
+function generate(title, kind, docs, filename, resolveLinks) {
+	resolveLinks = resolveLinks === false ? false : true;
+
+	const docData = {
+		env: env,
+		title: title,
+		kind: kind,
+		docs: docs,
+		filename: filename,
+	};
+
+	let outpath = path.join(outdir, filename),
+		html = view.render('container.tmpl', docData);
+
+	if (linkCheck) {
+		checkPageLinks(docs);
+	}
+
+	if (resolveLinks) {
+		html = helper.resolveLinks(html); // turn {@link foo} into <a href="foodoc.html">foo</a>
+	}
+
+	if (view.outputFormat === 'markdown') {
+		html = htmlToMarkdown(html);
+	}
+
+	writeOutputFile(outpath, html);
+	generatedPages.push({ filename: filename, template: 'container.tmpl', data: docData });
+}
+
+// the URL of a file, a line and a range of lines at each forge, relative to the repository link
+const forgeUrlTemplates = {
+	github: { file: 'blob/{ref}/{path}', line: '#L{line}', range: '#L{start}-L{end}' },
+	gitlab: { file: '-/blob/{ref}/{path}', line: '#L{line}', range: '#L{start}-{end}' },
+	bitbucket: { file: 'src/{ref}/{path}', line: '#lines-{line}', range: '#lines-{start}:{end}' },
+	gitea: { file: 'src/{refType}/{ref}/{path}', line: '#L{line}', range: '#L{start}-L{end}' },
+};
+
+/**
+ * Find the Git repository that a directory is in.
+ *
+ * @param {String} dir
+ * @return {?Object} The `root` of the working tree and its `gitDir`, or null if there isn't one.
+ */
+function findGitRepository(dir) {
+	let current = path.resolve(dir);
+
+	while (true) {
+		const dotGit = path.join(current, '.git');
+
+		try {
+			// in worktrees and submodules, .git is a file pointing to the real Git directory
+			if (fs.statSync(dotGit).isFile()) {
+				const gitDir = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(dotGit, 'utf8'));
+
+				return gitDir ? { root: current, gitDir: path.resolve(current, gitDir[1].trim()) } : null;
+			}
+
+			return { root: current, gitDir: dotGit };
+		}
+		catch (e) {
+			const parent = path.dirname(current);
+
+			if (parent === current) {
+				return null;
+			}
+			current = parent;
+		}
+	}
+}
+
+/**
+ * Read the checked out branch and commit of a Git repository, without running Git.
+ *
+ * @param {String} gitDir
+ * @return {Object} The `branch`, or null when detached, and the `commit` SHA, or null if it can't be read.
+ */
+function readGitHead(gitDir) {
+	let commonDir = gitDir;
+	let head;
+
+	try {
+		head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+	}
+	catch (e) {
+		return { branch: null, commit: null };
+	}
+
+	// the refs of a worktree are kept in the main Git directory
+	try {
+		commonDir = path.resolve(gitDir, fs.readFileSync(path.join(gitDir, 'commondir'), 'utf8').trim());
+	}
+	catch (e) {
+		// not a worktree
+	}
 
-function getSignatureAttributes(item) {
-	const attributes = [];
+	const ref = /^ref:\s*(.+)$/.exec(head);
 
-	if (item.optional) {
-		attributes.push('opt');
+	if (!ref) {
+		return { branch: null, commit: /^[0-9a-f]{40,64}$/.test(head) ? head : null };
 	}
 
-	if (item.nullable === true) {
-		attributes.push('nullable');
+	let commit = null;
+
+	try {
+		commit = fs.readFileSync(path.join(commonDir, ref[1]), 'utf8').trim();
 	}
-	else if (item.nullable === false) {
-		attributes.push('non-null');
+	catch (e) {
+		// the ref may have been packed
+		try {
+			const packed = fs.readFileSync(path.join(commonDir, 'packed-refs'), 'utf8').split('\n');
+			const line = packed.filter(function(entry) {
+				return entry.split(' ')[1] === ref[1];
+			})[0];
+
+			commit = line ? line.split(' ')[0] : null;
+		}
+		catch (err) {
+			commit = null;
+		}
 	}
 
-	return attributes;
+	return { branch: ref[1].replace(/^refs\/heads\//, ''), commit: commit };
 }
 
-function updateItemName(item) {
-	const attributes = getSignatureAttributes(item);
-	let itemName = item.name || '';
+// the names of the well-known forges, by their host
+const forgeHosts = {
+	'github.com': 'GitHub',
+	'gitlab.com': 'GitLab',
+	'bitbucket.org': 'Bitbucket',
+	'codeberg.org': 'Codeberg',
+};
 
-	if (item.variable) {
-		itemName = '&hellip;' + itemName;
-	}
+/**
+ * Turn the `repository` field of a package.json into the web address of the repository and the
+ * name of its forge. It can be an object with a `url`, a Git URL such as
+ * `git+ssh://git@github.com/acme/widgets.git`, or a shorthand such as `gitlab:acme/widgets`.
+ *
+ * @param {String|Object} repositoryField
+ * @return {?Object} The `link` and `type` of the repository, or null if it isn't hosted on the web.
+ */
+function parseRepositoryField(repositoryField) {
+	let url = (repositoryField && typeof repositoryField === 'object') ? repositoryField.url : repositoryField;
 
-	if (attributes && attributes.length) {
-		itemName = util.format('%s<span class="signature-attributes">%s</span>', itemName,
-			attributes.join(', '));
+	if (typeof url !== 'string' || !url) {
+		return null;
 	}
 
-	return itemName;
-}
+	const shorthand = /^(?:(github|gitlab|bitbucket):)?([\w.-]+\/[\w.-]+)$/.exec(url);
 
-function addParamAttributes(params) {
-	return params.filter(function(param) {
-		return param.name && param.name.indexOf('.') === -1;
-	}).map(updateItemName);
-}
+	if (shorthand) {
+		url = 'https://' + ({ gitlab: 'gitlab.com', bitbucket: 'bitbucket.org' }[shorthand[1]] || 'github.com') +
+			'/' + shorthand[2];
+	}
+	else {
+		url = url
+			.replace(/^git\+/, '')
+			// scp-like addresses, such as git@github.com:acme/widgets.git
+			.replace(/^(?:[\w.-]+@)?([\w.-]+):(?!\/\/)/, 'https://$1/')
+			.replace(/^(?:ssh|git|http):\/\/(?:[^@/]+@)?/, 'https://')
+			.replace(/^https:\/\/[^@/]+@/, 'https://');
+	}
 
-function buildItemTypeStrings(item) {
-	const types = [];
+	const host = /^https:\/\/([^/:]+)/.exec(url);
 
-	if (item && item.type && item.type.names) {
-		item.type.names.forEach(function(name) {
-			types.push(linkto(name, htmlsafe(name)));
-		});
+	if (!host) {
+		return null;
 	}
 
-	return types;
+	const hostname = host[1].toLowerCase();
+	const type = forgeHosts[hostname] || ['GitHub', 'GitLab', 'Bitbucket', 'Gitea', 'Forgejo'].filter(function(name) {
+		return hostname.indexOf(name.toLowerCase()) > -1;
+	})[0] || '';
+
+	return { link: url.replace(/(\.git)?\/*$/, ''), type: type };
 }
 
-function buildAttribsString(attribs) {
-	let attribsString = '';
+/**
+ * Work out how to link to the source files in their repository. The `repository` block of the
+ * configuration wins, then the `repository` field of the package.json, and the branch or commit
+ * checked out in the local Git repository is used when no branch is configured.
+ *
+ * @param {Object|Boolean|undefined} repositoryConf The `repository` block, or false for no links.
+ * @param {?Object} packageInfo The package doclet, if any.
+ * @return {?Object} The settings used by {@link getRepositoryLink}, or null if there are no
+ * links to make.
+ */
+function buildRepositoryConf(repositoryConf, packageInfo) {
+	if (repositoryConf === false) {
+		return null;
+	}
 
-	if (attribs && attribs.length) {
-		attribsString = htmlsafe(attribs.join(', '));
+	// the type of the package's repository doesn't apply to a link that is configured
+	const detected = repositoryConf && repositoryConf.link ? null :
+		parseRepositoryField(packageInfo && packageInfo.repository);
+	const conf = Object.assign({}, detected, repositoryConf);
+
+	if (!conf.link) {
+		return null;
 	}
 
-	return attribsString;
-}
+	const git = findGitRepository(env.pwd || process.cwd());
+	const head = git ? readGitHead(git.gitDir) : { branch: null, commit: null };
+	const type = conf.type || '';
+	const forge = Object.keys(forgeUrlTemplates).filter(function(name) {
+		return type.toLowerCase().indexOf(name) > -1;
+	})[0] || (/forgejo|codeberg/i.test(type) ? 'gitea' : 'github');
 
-function addNonParamAttributes(items) {
-	let types = [];
+	let ref = conf.branch || head.branch;
+	let refType = 'branch';
 
-	items.forEach(function(item) {
-		types = types.concat(buildItemTypeStrings(item));
-	});
+	// a detached checkout, as on most CI services, can only be linked to by its commit
+	if (conf.commit || !ref) {
+		const commit = typeof conf.commit === 'string' ? conf.commit : head.commit;
 
-	return types;
-}
+		if (commit) {
+			ref = commit;
+			refType = 'commit';
+		}
+		else if (conf.commit) {
+			logger.warn('Unable to read the current commit from the Git repository, so links to the ' +
+				'repository use the branch instead');
+		}
+	}
 
-function addSignatureParams(f) {
-	const params = f.params ? addParamAttributes(f.params) : [];
+	if (!ref) {
+		return null;
+	}
 
-	f.signature = util.format('%s(%s)', (f.signature || ''), params.join(', '));
+	return {
+		link: conf.link.replace(/(\.git)?\/*$/, '/'),
+		label: type ? 'View on ' + type : 'View in Repository',
+		root: conf.root ? path.resolve(env.pwd || process.cwd(), conf.root) :
+			(git ? git.root : env.pwd || process.cwd()),
+		ref: ref,
+		refType: refType,
+		urls: Object.assign({}, forgeUrlTemplates[forge], conf.urls),
+	};
 }
 
-function addSignatureReturns(f) {
-	const attribs = [];
-	let attribsString = '';
-	let returnTypes = [];
-	let returnTypesString = '';
+function fillUrlTemplate(urlTemplate, values) {
+	return urlTemplate.replace(/\{(\w+)\}/g, function(placeholder, key) {
+		return hasOwnProp.call(values, key) ? values[key] : placeholder;
+	});
+}
 
-	// jam all the return-type attributes into an array. this could create odd results (for example,
-	// if there are both nullable and non-nullable return types), but let's assume that most people
-	// who use multiple @return tags aren't using Closure Compiler type annotations, and vice-versa.
-	if (f.returns) {
-		f.returns.forEach(function(item) {
-			helper.getAttribs(item).forEach(function(attrib) {
-				if (attribs.indexOf(attrib) === -1) {
-					attribs.push(attrib);
-				}
-			});
-		});
+/**
+ * Build the URL of a source file, or of some of its lines, in the repository.
+ *
+ * @param {String} filepath The path to the source file.
+ * @param {Number} [start] The line to link to.
+ * @param {Number} [end] The last line of the range to link to, if any.
+ * @return {?String} The URL, or null if the file isn't in the repository.
+ */
+function buildRepositoryUrl(filepath, start, end) {
+	const relativePath = path.relative(repository.root, path.resolve(filepath));
 
-		attribsString = buildAttribsString(attribs);
+	if (/^\.\.($|[\\/])/.test(relativePath) || path.isAbsolute(relativePath)) {
+		return null;
 	}
 
-	if (f.returns) {
-		returnTypes = addNonParamAttributes(f.returns);
+	const values = {
+		ref: encodeURI(repository.ref),
+		refType: repository.refType,
+		path: relativePath.split(/[\\/]/).map(encodeURIComponent).join('/'),
+		line: start,
+		start: start,
+		end: end,
+	};
+	let fragment = '';
+
+	if (start && end && end > start) {
+		fragment = fillUrlTemplate(repository.urls.range, values);
 	}
-	if (returnTypes.length) {
-		returnTypesString = util.format(' &rarr; %s{%s}', attribsString, returnTypes.join('|'));
+	else if (start) {
+		fragment = fillUrlTemplate(repository.urls.line, values);
 	}
 
-	f.signature = '<span class="signature">' + (f.signature || '') + '</span>' +
-        '<span class="return-type-signature">' + returnTypesString + '</span>';
+	return repository.link + fillUrlTemplate(repository.urls.file, values) + fragment;
 }
 
-function addSignatureTypes(f) {
-	const types = f.type ? buildItemTypeStrings(f) : [];
-
-	f.signature = (f.signature || '') + '<span class="type-signature">' +
-        (types.length ? '' + types.join('|') : '') + '</span>';
-}
+/**
+ * Build the "View on …" link to a source file or to the lines of the code a doclet documents.
+ *
+ * @param {Object|String} doclet The doclet, or the path to a source file.
+ * @return {String} The HTML link, or an empty string if there is nothing to link to.
+ */
+function getRepositoryLink(doclet) {
+	let url = null;
 
-function addAttribs(f) {
-	const attribs = helper.getAttribs(f);
-	if (attribs.length) {
-		let str = '';
-		attribs.forEach(function(a) {
-			str = str + `<span class="method-type-signature is-${a}">${a}</span>`;
-		});
-		f.attribs = str;
+	if (!repository) {
+		return '';
 	}
-}
-
-function shortenPaths(files, commonPrefix) {
-	Object.keys(files).forEach(function(file) {
-		files[file].shortened = files[file].resolved.replace(commonPrefix, '')
-		// always use forward slashes
-			.replace(/\\/g, '/');
-	});
 
-	return files;
-}
+	if (typeof doclet === 'string') {
+		url = buildRepositoryUrl(doclet);
+	}
+	else if (getPathFromDoclet(doclet)) {
+		const range = doclet.meta.range;
+		const end = range ? readSourceText(getPathFromDoclet(doclet)).slice(0, range[1]).split('\n').length : null;
 
-function getPathFromDoclet(doclet) {
-	if (!doclet.meta) {
-		return null;
+		url = buildRepositoryUrl(getPathFromDoclet(doclet), doclet.meta.lineno, end);
 	}
 
-	return doclet.meta.path && doclet.meta.path !== 'null' ?
-		path.join(doclet.meta.path, doclet.meta.filename) :
-		doclet.meta.filename;
+	return url ? '<a href="' + htmlsafe(url) + '" target="_blank" rel="noopener">' + htmlsafe(repository.label) + '</a>' : '';
 }
 
-function generate(title, kind, docs, filename, resolveLinks) {
-	resolveLinks = resolveLinks === false ? false : true;
+/**
+ * Find the symbols defined in each source file, for the outlines of the source pages. Inherited
+ * and mixed in members are left out, as they're defined elsewhere.
+ *
+ * @return {Object<String, Array<Object>>} The symbols of each file, by its path, in the order of
+ * the source, each with the `url` of its documentation and the `line` it's defined on.
+ */
+function buildSourceOutlines() {
+	const outlines = {};
 
-	const docData = {
-		env: env,
-		title: title,
-		kind: kind,
-		docs: docs,
-	};
+	data().each(function(doclet) {
+		const file = getPathFromDoclet(doclet);
+		const pageUrl = helper.longnameToUrl[doclet.longname];
 
-	let outpath = path.join(outdir, filename),
-		html = view.render('container.tmpl', docData);
+		if (!file || !doclet.meta.lineno || !pageUrl || doclet.inherited || doclet.mixed ||
+			doclet.kind === 'file' || doclet.kind === 'package') {
+			return;
+		}
 
-	if (resolveLinks) {
-		html = helper.resolveLinks(html); // turn {@link foo} into <a href="foodoc.html">foo</a>
-	}
+		outlines[file] = outlines[file] || [];
+		outlines[file].push({
+			longname: doclet.longname,
+			label: doclet.longname.replace(/^module:/, ''),
+			kind: doclet.kind,
+			// overloads share a longname, so link to each by its own id
+			url: pageUrl.indexOf('#') > -1 ? pageUrl.split('#')[0] + '#' + doclet.id : pageUrl,
+			line: doclet.meta.lineno,
+		});
+	});
+
+	Object.keys(outlines).forEach(function(file) {
+		outlines[file].sort(function(a, b) {
+			return (a.line - b.line) || a.label.localeCompare(b.label);
+		});
+	});
 
-	fs.writeFileSync(outpath, html, 'utf8');
+	return outlines;
 }
 
 function generateSourceFiles(sourceFiles, encoding) {
 	encoding = encoding || 'utf8';
+	const outlines = buildSourceOutlines();
+
 	Object.keys(sourceFiles).forEach(function(file) {
 		let source;
 		// links are keyed to the shortened path in each doclet's `meta.shortpath` property
@@ -242,6 +2903,8 @@ function generateSourceFiles(sourceFiles, encoding) {
 			source = {
 				kind: 'source',
 				code: helper.htmlsafe(fs.readFileSync(sourceFiles[file].resolved, encoding)),
+				repositoryLink: getRepositoryLink(sourceFiles[file].resolved),
+				outline: outlines[sourceFiles[file].resolved] || [],
 			};
 		}
 		catch (e) {
@@ -345,17 +3008,18 @@ function buildMemberNav(items, itemHeading, itemsSeen, linktoFn) {
 
 				if (itemHeading === 'Tutorials') {
 					nav.push(buildNavItem(linktoFn(item.longname, displayName)));
+					itemsSeen[item.longname] = true;
+					return;
 				}
-				else {
-					nav.push(buildNavHeading(buildNavType(item.kind, linktoFn(item.longname, displayName))));
-				}
+
+				const groupItems = [];
 
 				if (members.length) {
 					members.forEach(function(member) {
 						if (member.inherited && conf.showInheritedInNav === false) {
 							return;
 						}
-						nav.push(buildNavItem(buildNavType(member.kind, linkto(member.longname, member.name))));
+						groupItems.push(buildNavItem(buildNavType(member.kind, linkto(member.longname, member.name), member.deprecated)));
 					});
 				}
 
@@ -364,7 +3028,7 @@ function buildMemberNav(items, itemHeading, itemsSeen, linktoFn) {
 						if (method.inherited && conf.showInheritedInNav === false) {
 							return;
 						}
-						nav.push(buildNavItem(buildNavType(method.kind, linkto(method.longname, method.name))));
+						groupItems.push(buildNavItem(buildNavType(method.kind, linkto(method.longname, method.name), method.deprecated)));
 					});
 				}
 
@@ -373,7 +3037,7 @@ function buildMemberNav(items, itemHeading, itemsSeen, linktoFn) {
 						if (typedef.inherited && conf.showInheritedInNav === false) {
 							return;
 						}
-						nav.push(buildNavItem(buildNavType(typedef.kind, linkto(typedef.longname, typedef.name))));
+						groupItems.push(buildNavItem(buildNavType(typedef.kind, linkto(typedef.longname, typedef.name), typedef.deprecated)));
 					});
 				}
 
@@ -382,10 +3046,13 @@ function buildMemberNav(items, itemHeading, itemsSeen, linktoFn) {
 						if (event.inherited && conf.showInheritedInNav === false) {
 							return;
 						}
-						nav.push(buildNavItem(buildNavType(event.kind, linkto(event.longname, event.name))));
+						groupItems.push(buildNavItem(buildNavType(event.kind, linkto(event.longname, event.name), event.deprecated)));
 					});
 				}
 
+				nav.push(buildNavGroup(item.longname,
+					buildNavType(item.kind, linktoFn(item.longname, displayName), item.deprecated), groupItems));
+
 				itemsSeen[item.longname] = true;
 			}
 		});
@@ -460,22 +3127,46 @@ function buildNav(members) {
 
 	nav = nav.concat(buildMemberNav(members.tutorials, 'Tutorials', seenTutorials, linktoTutorial));
 	nav = nav.concat(buildMemberNav(members.classes, 'Classes', seen, linkto));
+
+	if (view.hierarchyUrl && members.classes.length) {
+		nav.push('<ul>' + buildNavItem('<a href="' + view.hierarchyUrl + '">Class Hierarchy</a>') + '</ul>');
+	}
+
 	nav = nav.concat(buildMemberNav(members.modules, 'Modules', {}, linkto));
+
+	if (view.dependencyGraphUrl && members.modules.length) {
+		nav.push('<ul>' + buildNavItem('<a href="' + view.dependencyGraphUrl + '">Module Dependencies</a>') + '</ul>');
+	}
+
 	nav = nav.concat(buildMemberNav(members.externals, 'Externals', seen, linktoExternal));
 	nav = nav.concat(buildMemberNav(members.namespaces, 'Namespaces', seen, linkto));
 	nav = nav.concat(buildMemberNav(members.mixins, 'Mixins', seen, linkto));
 	nav = nav.concat(buildMemberNav(members.interfaces, 'Interfaces', seen, linkto));
 
 	if (members.globals.length) {
-		nav.push(buildNavHeading(linkto('global', 'Globals')));
+		const globalItems = [];
 
 		members.globals.forEach(function(item) {
 			if (!hasOwnProp.call(seen, item.longname)) {
-				nav.push(buildNavItem(buildNavType(item.kind, linkto(item.longname, item.name))));
+				globalItems.push(buildNavItem(buildNavType(item.kind, linkto(item.longname, item.name), item.deprecated)));
 			}
 
 			seen[item.longname] = true;
 		});
+
+		nav.push('<ul>' + buildNavGroup('global', linkto('global', 'Globals'), globalItems) + '</ul>');
+	}
+
+	if (view.whatsNewUrl) {
+		nav.push('<ul>' + buildNavItem('<a href="' + view.whatsNewUrl + '">What\'s New</a>') + '</ul>');
+	}
+
+	if (view.deprecatedUrl) {
+		nav.push('<ul>' + buildNavItem('<a href="' + view.deprecatedUrl + '">Deprecated API</a>') + '</ul>');
+	}
+
+	if (view.todoUrl) {
+		nav.push('<ul>' + buildNavItem('<a href="' + view.todoUrl + '">To Do</a>') + '</ul>');
 	}
 
 	return nav.join('');
@@ -493,7 +3184,17 @@ exports.publish = function(taffyData, opts, tutorials) {
 	conf.default = conf.default || {};
 
 	const templatePath = path.normalize(opts.template);
-	view = new template.Template(path.join(templatePath, 'tmpl'));
+	const outputFormat = env.conf.opts.outputFormat === 'markdown' ? 'markdown' : 'html';
+
+	// Markdown pages are rendered by their own set of templates, and link to each other by .md files
+	if (outputFormat === 'markdown') {
+		helper.fileExtension = '.md';
+		view = new template.Template(path.join(templatePath, 'tmpl', 'markdown'));
+	}
+	else {
+		view = new template.Template(path.join(templatePath, 'tmpl'));
+	}
+	view.outputFormat = outputFormat;
 
 	// claim some special filenames in advance, so the All-Powerful Overseer of Filename Uniqueness
 	// doesn't try to hand them out later
@@ -503,8 +3204,15 @@ exports.publish = function(taffyData, opts, tutorials) {
 	const globalUrl = helper.getUniqueFilename('global');
 	helper.registerLink('global', globalUrl);
 
+	const coverageConf = env.conf.coverage === true ? {} : env.conf.coverage;
+	const coverageUrl = coverageConf ? helper.getUniqueFilename('coverage') : null;
+
+	const hierarchyUrl = env.conf.opts.classHierarchy ?
+		(typeof env.conf.opts.classHierarchy === 'string' ? env.conf.opts.classHierarchy :
+			helper.getUniqueFilename('hierarchy')) : null;
+
 	// set up templating
-	view.layout = conf.default.layoutFile ?
+	view.layout = conf.default.layoutFile && outputFormat === 'html' ?
 		path.getResourcePath(path.dirname(conf.default.layoutFile),
 			path.basename(conf.default.layoutFile)) :
 		'layout.tmpl';
@@ -512,10 +3220,65 @@ exports.publish = function(taffyData, opts, tutorials) {
 	// set up tutorials for helper
 	helper.setTutorials(tutorials);
 
+	const linkCheckConf = env.conf.linkCheck === undefined ? {} : env.conf.linkCheck;
+	linkCheck = linkCheckConf ? {
+		strict: Boolean(linkCheckConf.strict),
+		ignore: (linkCheckConf.ignore || []).reduce(function(ignore, name) {
+			ignore[name] = true;
+			return ignore;
+		}, {}),
+		tutorials: tutorials,
+		unresolved: [],
+		seen: {},
+	} : null;
+
+	// runnable examples need a browser, so are left out of Markdown output
+	const playgroundConf = env.conf.playground === true ? {} : env.conf.playground;
+	const playground = (playgroundConf && outputFormat === 'html') ? {
+		scripts: [].concat(playgroundConf.scripts || []),
+		runAll: playgroundConf.examples === 'all',
+	} : null;
+
+	// find the undocumented symbols before they are pruned, to report on them too
+	const undocumentedSymbols = coverageConf ? findUndocumentedSymbols(data) : [];
+
 	data = helper.prune(data);
 	data.sort('longname, version, since');
 	helper.addEventListeners(data);
 
+	// the to-do notes can be left out of the docs entirely, for builds that are published
+	if (env.conf.opts.hideTodo) {
+		data().each(function(doclet) {
+			delete doclet.todo;
+		});
+	}
+
+	// the dependency graph is drawn unless turned off, as long as a module requires something
+	const hasDependencies = find({ kind: 'module' }).some(function(module) {
+		return module.requires && module.requires.length;
+	});
+	const dependencyGraphUrl = (env.conf.opts.moduleGraph !== false && hasDependencies) ?
+		(typeof env.conf.opts.moduleGraph === 'string' ? env.conf.opts.moduleGraph :
+			helper.getUniqueFilename('dependencies')) : null;
+
+	// as is the list of deprecated symbols, as long as there are any
+	const hasDeprecations = find({ deprecated: { isUndefined: false } }).length > 0;
+	const deprecatedUrl = (env.conf.opts.deprecatedApi !== false && hasDeprecations) ?
+		(typeof env.conf.opts.deprecatedApi === 'string' ? env.conf.opts.deprecatedApi :
+			helper.getUniqueFilename('deprecated')) : null;
+
+	// and the list of symbols by the version they were added in, as long as any are tagged with it
+	const hasReleases = find({ since: { isUndefined: false } }).length > 0;
+	const whatsNewUrl = (env.conf.opts.whatsNew !== false && hasReleases) ?
+		(typeof env.conf.opts.whatsNew === 'string' ? env.conf.opts.whatsNew :
+			helper.getUniqueFilename('whats-new')) : null;
+
+	// the list of to-do notes is only written when asked for
+	const hasTodos = find({ todo: { isUndefined: false } }).length > 0;
+	const todoUrl = (env.conf.opts.todoList && hasTodos) ?
+		(typeof env.conf.opts.todoList === 'string' ? env.conf.opts.todoList :
+			helper.getUniqueFilename('todo')) : null;
+
 	let sourceFiles = {};
 	const sourceFilePaths = [];
 	data().each(function(doclet) {
@@ -523,17 +3286,7 @@ exports.publish = function(taffyData, opts, tutorials) {
 
 		if (doclet.examples) {
 			doclet.examples = doclet.examples.map(function(example) {
-				let caption, code;
-
-				if (example.match(/^\s*<caption>([\s\S]+?)<\/caption>(\s*[\n\r])([\s\S]+)$/i)) {
-					caption = RegExp.$1;
-					code = RegExp.$3;
-				}
-
-				return {
-					caption: caption || '',
-					code: code || example,
-				};
+				return parseExample(example, playground);
 			});
 		}
 		if (doclet.see) {
@@ -557,20 +3310,41 @@ exports.publish = function(taffyData, opts, tutorials) {
 	});
 
 	// update outdir if necessary, then create outdir
+	const destination = outdir;
 	const packageInfo = (find({ kind: 'package' }) || [])[0];
+	repository = buildRepositoryConf(env.conf.repository, packageInfo);
+	packageVersion = (packageInfo && packageInfo.version) || null;
+
 	if (packageInfo && packageInfo.name) {
 		outdir = path.join(outdir, packageInfo.name, (packageInfo.version || ''));
 	}
 	fs.mkPath(outdir);
 
+	// only write the files that changed since the last build, when asked to
+	buildManifest = null;
+	if (env.conf.opts.incremental) {
+		loadBuildManifest();
+	}
+
+	// multi-version output needs the version of the package to file each run under
+	let versionsConf = env.conf.versions === true ? {} : env.conf.versions;
+	if (versionsConf && outputFormat === 'markdown') {
+		versionsConf = null;
+	}
+	else if (versionsConf && !(packageInfo && packageInfo.version)) {
+		logger.warn('The versions option requires a package.json with a version in the source files; ' +
+			'the version switcher will not be generated.');
+		versionsConf = null;
+	}
+
 	// copy the template's static files to outdir
 	const fromDir = path.join(templatePath, 'static');
-	const staticFiles = fs.ls(fromDir, 3);
+	const staticFiles = outputFormat === 'html' ? fs.ls(fromDir, 3) : [];
 
 	staticFiles.forEach(function(fileName) {
 		const toDir = fs.toDir(fileName.replace(fromDir, outdir));
 		fs.mkPath(toDir);
-		fs.copyFileSync(fileName, toDir);
+		copyOutputFile(fileName, toDir);
 	});
 
 	// copy user-specified static files to outdir
@@ -596,7 +3370,7 @@ exports.publish = function(taffyData, opts, tutorials) {
 				const sourcePath = fs.toDir(filePath);
 				const toDir = fs.toDir(fileName.replace(sourcePath, outdir));
 				fs.mkPath(toDir);
-				fs.copyFileSync(fileName, toDir);
+				copyOutputFile(fileName, toDir);
 			});
 		});
 	}
@@ -635,6 +3409,7 @@ exports.publish = function(taffyData, opts, tutorials) {
 			addAttribs(doclet);
 		}
 	});
+	makeIdsUnique();
 
 	// do this after the urls have all been generated
 	data().each(function(doclet) {
@@ -656,21 +3431,73 @@ exports.publish = function(taffyData, opts, tutorials) {
 	members.tutorials = tutorials.children;
 
 	// output pretty-printed source files by default
-	const outputSourceFiles = conf.default && conf.default.outputSourceFiles !== false ? true :
-		false;
+	const outputSourceFiles = conf.default && conf.default.outputSourceFiles !== false &&
+		outputFormat === 'html' ? true : false;
 
 	// add template helpers
 	view.find = find;
 	view.linkto = linkto;
+	view.typeStrings = buildTypeStrings;
 	view.resolveAuthorLinks = resolveAuthorLinks;
 	view.tutoriallink = tutoriallink;
 	view.htmlsafe = htmlsafe;
+	view.plainSignature = buildPlainSignature;
+	view.getAttribs = helper.getAttribs;
+	view.repositoryLink = getRepositoryLink;
+	view.pageMeta = buildPageMeta;
+	view.permalink = buildPermalink;
+	view.playground = playground;
+	view.inheritanceDiagram = outputFormat === 'html' ? buildInheritanceDiagram : function() {
+		return null;
+	};
+	view.hierarchyUrl = hierarchyUrl;
+	view.dependencyGraphUrl = dependencyGraphUrl;
+	view.findDependents = findDependents;
+	view.deprecatedUrl = deprecatedUrl;
+	view.deprecatedBadge = buildDeprecatedBadge;
+	view.whatsNewUrl = whatsNewUrl;
+	view.newBadge = buildNewBadge;
+	view.todoUrl = todoUrl;
 	view.outputSourceFiles = outputSourceFiles;
+	// the date would change every page on every run, so incremental builds leave it out
+	view.includeDate = conf.default.includeDate !== false && !buildManifest;
+	view.printEdition = (env.conf.opts.printEdition && outputFormat === 'html') ?
+		(typeof env.conf.opts.printEdition === 'string' ? env.conf.opts.printEdition : 'print.html') :
+		null;
+	// the canonical URLs, link previews and sitemap are built from the base URL, so it must be absolute
+	let seoBaseUrl = (env.conf.metadata && env.conf.metadata.baseUrl && outputFormat === 'html') ?
+		String(env.conf.metadata.baseUrl) : null;
+	if (seoBaseUrl && !/^https?:\/\/[^/]/i.test(seoBaseUrl)) {
+		logger.warn('The baseUrl "%s" in metadata is not an absolute http(s) URL, such as "https://%s"; ' +
+			'the page metadata and sitemap will not be generated.', seoBaseUrl, seoBaseUrl.replace(/^\/+/, ''));
+		seoBaseUrl = null;
+	}
+	view.seo = seoBaseUrl ? {
+		baseUrl: seoBaseUrl.replace(/\/*$/, '/'),
+		// the pages are nested in the destination by package name and version
+		path: path.relative(destination, outdir).split(path.sep).filter(Boolean).map(function(part) {
+			return encodeURIComponent(part) + '/';
+		}).join(''),
+	} : null;
+	view.versions = versionsConf ? {
+		current: packageInfo.version,
+		root: path.relative(outdir, destination).split(path.sep).join('/') + '/',
+	} : null;
 
 	// once for all
 	view.nav = buildNav(members);
 	attachModuleSymbols(find({ longname: { left: 'module:' } }), members.modules);
 
+	if (env.conf.opts.search !== false && outputFormat === 'html') {
+		generateSearchIndex(buildSearchIndex(tutorials));
+	}
+
+	if (env.conf.opts.jsonExport) {
+		const jsonFilename = typeof env.conf.opts.jsonExport === 'string' ? env.conf.opts.jsonExport : 'api.json';
+
+		writeOutputFile(path.join(outdir, jsonFilename), JSON.stringify(buildApiJson(packageInfo), null, 2) + '\n');
+	}
+
 	// generate the pretty-printed source files first so other pages can link to them
 	if (outputSourceFiles) {
 		generateSourceFiles(sourceFiles, opts.encoding);
@@ -678,14 +3505,52 @@ exports.publish = function(taffyData, opts, tutorials) {
 
 	if (members.globals.length) { generate('Global', '', [{ kind: 'globalobj' }], globalUrl); }
 
+	if (hierarchyUrl) {
+		generate('Class Hierarchy', '', [{ kind: 'hierarchy', hierarchy: buildClassHierarchy() }], hierarchyUrl);
+	}
+
+	if (dependencyGraphUrl) {
+		generate('Module Dependencies', '', [{ kind: 'dependencies', graph: buildDependencyGraph() }],
+			dependencyGraphUrl);
+	}
+
+	if (deprecatedUrl) {
+		generate('Deprecated API', '', [{ kind: 'deprecated', groups: buildDeprecationReport() }], deprecatedUrl);
+	}
+
+	if (whatsNewUrl) {
+		generate('What\'s New', '', [{ kind: 'whats-new', versions: buildReleaseNotes() }], whatsNewUrl);
+	}
+
+	if (todoUrl) {
+		generate('To Do', '', [{ kind: 'todo', files: buildTodoList() }], todoUrl);
+	}
+
+	if (coverageConf) {
+		const coverage = buildCoverageReport(undocumentedSymbols, coverageConf.threshold);
+
+		generate('Documentation Coverage', '', [{ kind: 'coverage', coverage: coverage }], coverageUrl);
+		writeOutputFile(path.join(outdir, 'coverage.json'), JSON.stringify(coverage, null, 2) + '\n');
+
+		if (!coverage.passed) {
+			// logging an error makes JSDoc exit with a non-zero code
+			logger.error('Documentation coverage of %s%% is below the threshold of %s%%; see %s',
+				coverage.percentage, coverage.threshold, path.join(outdir, coverageUrl));
+		}
+		else {
+			logger.info('Documentation coverage: %s%%', coverage.percentage);
+		}
+	}
+
 	// index page displays information from package.json and lists files
 	const files = find({ kind: 'file' }),
 		packages = find({ kind: 'package' });
+	const readme = (opts.readme && outputFormat === 'html') ? addHeadingPermalinks(opts.readme) : opts.readme;
 
 	// Remove Page title for Main Page (set in Readme instead)
 	generate('', '',
 		packages.concat(
-			[{ kind: 'mainpage', readme: opts.readme, longname: (opts.mainpagetitle) ? opts.mainpagetitle : 'Main Page' }],
+			[{ kind: 'mainpage', readme: readme, longname: (opts.mainpagetitle) ? opts.mainpagetitle : 'Main Page' }],
 		).concat(files),
 		indexUrl);
 
@@ -731,30 +3596,64 @@ exports.publish = function(taffyData, opts, tutorials) {
 
 	// TODO: move the tutorial functions to templateHelper.js
 	function generateTutorial(title, tutorial, filename) {
+		const content = outputFormat === 'html' ? addHeadingPermalinks(tutorial.parse()) : tutorial.parse();
 		const tutorialData = {
 			title: title,
+			kind: 'Tutorial',
 			header: tutorial.title,
-			content: tutorial.parse(),
+			content: content,
 			children: tutorial.children,
+			filename: filename,
+			// the layout is passed the rendered page as `content`, so keep the tutorial's own
+			tutorialContent: content,
 		};
 
+		// render a copy, as the layout is passed the rendered page as `content`, and the print
+		// edition renders the tutorial again from this data
 		let tutorialPath = path.join(outdir, filename),
-			html = view.render('tutorial.tmpl', tutorialData);
+			html = view.render('tutorial.tmpl', Object.assign({}, tutorialData));
+
+		if (linkCheck) {
+			recordUnresolvedLinks(getInlineLinks(tutorial.content), getTutorialPath(tutorial.name), null, title);
+		}
 
 		// yes, you can use {@link} in tutorials too!
 		html = helper.resolveLinks(html); // turn {@link foo} into <a href="foodoc.html">foo</a>
 
-		fs.writeFileSync(tutorialPath, html, 'utf8');
+		if (view.outputFormat === 'markdown') {
+			html = htmlToMarkdown(html);
+		}
+
+		writeOutputFile(tutorialPath, html);
+		generatedPages.push({ filename: filename, template: 'tutorial.tmpl', data: tutorialData });
 	}
 
 	// tutorials can have only one parent so there is no risk for loops
 	function saveChildren(node) {
 		node.children.forEach(function(child) {
-			generateTutorial('Tutorial: ' + child.title, child, helper.tutorialToUrl(child.name));
+			generateTutorial(child.title, child, helper.tutorialToUrl(child.name));
 			saveChildren(child);
 		});
 	}
 	saveChildren(tutorials);
+
+	if (linkCheck) {
+		reportUnresolvedLinks();
+	}
+
+	if (view.printEdition) {
+		writeOutputFile(path.join(outdir, view.printEdition), buildPrintEdition(packageInfo));
+	}
+
+	const manifest = versionsConf ? updateVersionsManifest(destination, packageInfo.version, versionsConf) : null;
+
+	if (view.seo) {
+		generateSitemap(destination, manifest);
+	}
+
+	if (buildManifest) {
+		saveBuildManifest();
+	}
 };
 
 /**
@@ -773,15 +3672,17 @@ function buildNavLink(linkClass, linkContent) {
 	].join('');
 }
 
-function buildNavType(type, typeLink) {
+function buildNavType(type, typeLink, deprecated) {
 	return [
 		'<span class="nav-item-type type-' + type + '" title="' + type + '">',
 		type[0].toUpperCase(),
 		'</span>',
 
-		`<span class="nav-item-name is-${type}">`,
+		`<span class="nav-item-name is-${type}${deprecated ? ' is-deprecated' : ''}">`,
 		typeLink,
 		'</span>',
+
+		deprecated ? buildDeprecatedBadge() : '',
 	].join('');
 }
 
@@ -800,6 +3701,33 @@ function buildNavHeading(content) {
 	].join('');
 }
 
+/**
+ * Helper to generate a collapsible navigation group, for a class, module, namespace, etc.
+ * and its members. Falls back to a plain heading when there are no members to collapse.
+ *
+ * @param {String} id unique identifier of the group, used to remember whether it is expanded
+ * @param {String} headingContent navigation group heading HTML content
+ * @param {String[]} items navigation items HTML, as built by {@link buildNavItem}
+ * @return {String}
+ */
+function buildNavGroup(id, headingContent, items) {
+	if (!items.length) {
+		return buildNavHeading(headingContent);
+	}
+
+	return [
+		'<li class="nav-heading nav-group" data-nav-group="' + attributeSafe(id) + '">',
+		'<div class="nav-group-heading">',
+		'<button type="button" class="nav-group-toggle" aria-expanded="false" aria-label="Toggle members"></button>',
+		headingContent,
+		'</div>',
+		'<ul class="nav-group-items">',
+		items.join(''),
+		'</ul>',
+		'</li>',
+	].join('');
+}
+
 /**
  * Helper for generating generic navigation wrapper around content passed for
  * methods, and types.
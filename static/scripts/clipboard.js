@@ -0,0 +1,87 @@
+// Copies text to the clipboard and announces the outcome to screen readers, and reads the code of
+// code blocks, for the other scripts.
+(function() {
+	'use strict';
+
+	var status = document.createElement('div');
+
+	status.id = 'clipboard-status';
+	status.className = 'visually-hidden';
+	status.setAttribute('role', 'status');
+	document.body.appendChild(status);
+
+	function copyWithSelection(text) {
+		var textarea = document.createElement('textarea');
+
+		textarea.value = text;
+		textarea.setAttribute('readonly', '');
+		textarea.className = 'visually-hidden';
+		document.body.appendChild(textarea);
+		textarea.select();
+
+		try {
+			return document.execCommand('copy');
+		}
+		catch (e) {
+			return false;
+		}
+		finally {
+			document.body.removeChild(textarea);
+		}
+	}
+
+	/**
+	 * Copy some text to the clipboard, falling back to a selection where the Clipboard API isn't
+	 * available, such as for pages opened from the file system.
+	 *
+	 * @param {String} text
+	 * @return {Promise}
+	 */
+	function copy(text) {
+		if (navigator.clipboard && window.isSecureContext) {
+			return navigator.clipboard.writeText(text);
+		}
+
+		return copyWithSelection(text) ? Promise.resolve() : Promise.reject(new Error('Unable to copy'));
+	}
+
+	/**
+	 * Read a message out to screen readers, then clear it so that the same message is read again
+	 * the next time.
+	 *
+	 * @param {String} message
+	 * @param {Number} duration How long to keep the message, in milliseconds.
+	 */
+	function announce(message, duration) {
+		status.textContent = message;
+
+		window.setTimeout(function() {
+			if (status.textContent === message) {
+				status.textContent = '';
+			}
+		}, duration);
+	}
+
+	/**
+	 * Read the code of a code block, leaving out the line numbers added by Prism's line-numbers
+	 * plugin.
+	 *
+	 * @param {Element} code
+	 * @return {String}
+	 */
+	function getCode(code) {
+		var copy = code.cloneNode(true);
+
+		Array.prototype.slice.call(copy.querySelectorAll('.line-numbers-rows')).forEach(function(rows) {
+			rows.parentNode.removeChild(rows);
+		});
+
+		return copy.textContent;
+	}
+
+	window.docClipboard = {
+		copy: copy,
+		announce: announce,
+		getCode: getCode,
+	};
+})();
@@ -0,0 +1,99 @@
+// Adds a copy button and a language badge to every code block.
+(function() {
+	'use strict';
+
+	var COPIED_DURATION = 2000;
+
+	var LANGUAGE_NAMES = {
+		bash: 'Shell',
+		css: 'CSS',
+		html: 'HTML',
+		javascript: 'JavaScript',
+		js: 'JavaScript',
+		json: 'JSON',
+		jsx: 'JSX',
+		markdown: 'Markdown',
+		markup: 'HTML',
+		md: 'Markdown',
+		sh: 'Shell',
+		shell: 'Shell',
+		ts: 'TypeScript',
+		tsx: 'TSX',
+		typescript: 'TypeScript',
+		xml: 'XML',
+		yaml: 'YAML',
+		yml: 'YAML',
+	};
+
+	var clipboard = window.docClipboard;
+
+	/**
+	 * Find the language of a code block from the `language-*` or `lang-*` class of the code or
+	 * its `<pre>`, as Prism does.
+	 *
+	 * @param {Element} code
+	 * @return {?String}
+	 */
+	function getLanguage(code) {
+		var match = /\blang(?:uage)?-([\w-]+)\b/i.exec(code.className) ||
+			/\blang(?:uage)?-([\w-]+)\b/i.exec(code.parentNode.className);
+
+		if (!match || match[1] === 'none') {
+			return null;
+		}
+
+		return LANGUAGE_NAMES[match[1].toLowerCase()] || match[1];
+	}
+
+	function addControls(pre) {
+		var code = pre.querySelector('code');
+		var language = getLanguage(code);
+		var wrapper = document.createElement('div');
+		var toolbar = document.createElement('div');
+
+		wrapper.className = 'code-block';
+		toolbar.className = 'code-block-toolbar';
+
+		if (language) {
+			var badge = document.createElement('span');
+
+			badge.className = 'code-block-language';
+			badge.textContent = language;
+			toolbar.appendChild(badge);
+		}
+
+		if (clipboard) {
+			var button = document.createElement('button');
+
+			button.type = 'button';
+			button.className = 'code-block-copy';
+			button.textContent = 'Copy';
+			button.setAttribute('aria-label', 'Copy code' + (language ? ' (' + language + ')' : ''));
+
+			button.addEventListener('click', function() {
+				clipboard.copy(clipboard.getCode(code)).then(function() {
+					button.textContent = 'Copied';
+					button.classList.add('is-copied');
+					clipboard.announce('Code copied', COPIED_DURATION);
+
+					window.setTimeout(function() {
+						button.textContent = 'Copy';
+						button.classList.remove('is-copied');
+					}, COPIED_DURATION);
+				}, function() {
+					clipboard.announce('Unable to copy the code', COPIED_DURATION);
+				});
+			});
+
+			toolbar.appendChild(button);
+		}
+
+		pre.parentNode.insertBefore(wrapper, pre);
+		wrapper.appendChild(toolbar);
+		wrapper.appendChild(pre);
+	}
+
+	Array.prototype.slice.call(document.querySelectorAll('pre')).filter(function(pre) {
+		return pre.firstElementChild && pre.firstElementChild.tagName === 'CODE';
+	}).forEach(addControls);
+})();
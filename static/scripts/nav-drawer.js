@@ -0,0 +1,47 @@
+// Opens and closes the navigation sidebar, which becomes an off-canvas drawer on narrow screens.
+(function() {
+	'use strict';
+
+	var OPEN_CLASS = 'nav-open';
+
+	var toggle = document.getElementById('nav-toggle');
+	var overlay = document.getElementById('nav-overlay');
+	var header = document.getElementById('layout-header');
+
+	if (!toggle || !header) {
+		return;
+	}
+
+	function setOpen(open) {
+		document.body.classList.toggle(OPEN_CLASS, open);
+		toggle.setAttribute('aria-expanded', open);
+	}
+
+	function isOpen() {
+		return document.body.classList.contains(OPEN_CLASS);
+	}
+
+	toggle.addEventListener('click', function() {
+		setOpen(!isOpen());
+	});
+
+	if (overlay) {
+		overlay.addEventListener('click', function() {
+			setOpen(false);
+		});
+	}
+
+	// links to an anchor on the current page don't reload it, so close the drawer ourselves
+	header.addEventListener('click', function(event) {
+		if (event.target.closest('a')) {
+			setOpen(false);
+		}
+	});
+
+	document.addEventListener('keydown', function(event) {
+		if (event.key === 'Escape' && isOpen()) {
+			setOpen(false);
+			toggle.focus();
+		}
+	});
+})();
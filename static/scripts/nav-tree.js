@@ -0,0 +1,178 @@
+// Makes the navigation sidebar collapsible and filterable, and highlights the current page.
+(function() {
+	'use strict';
+
+	var STORAGE_KEY = 'tidy-jsdoc-nav-expanded';
+
+	var nav = document.getElementById('layout-nav');
+	var header = document.getElementById('layout-header');
+	var filter = document.getElementById('nav-filter');
+
+	if (!nav) {
+		return;
+	}
+
+	var groups = Array.prototype.slice.call(nav.querySelectorAll('.nav-group'));
+
+	function getStoredGroups() {
+		try {
+			return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || [];
+		}
+		catch (e) {
+			// storage can be unavailable for pages opened from the file system
+			return [];
+		}
+	}
+
+	function storeGroups() {
+		var expanded = groups.filter(function(group) {
+			return group.classList.contains('is-expanded');
+		}).map(function(group) {
+			return group.getAttribute('data-nav-group');
+		});
+
+		try {
+			window.localStorage.setItem(STORAGE_KEY, JSON.stringify(expanded));
+		}
+		catch (e) {
+			// the state then only lasts until the page is left
+		}
+	}
+
+	function setExpanded(group, expanded) {
+		group.classList.toggle('is-expanded', expanded);
+		group.querySelector('.nav-group-toggle').setAttribute('aria-expanded', expanded);
+	}
+
+	function stripHash(url) {
+		return url.split('#')[0];
+	}
+
+	/**
+	 * Highlight the navigation link to the current location, preferring an exact match on the
+	 * hash over a link to the page itself, then expand its group and scroll it into view.
+	 */
+	function highlightCurrent() {
+		var links = Array.prototype.slice.call(nav.querySelectorAll('a[href]'));
+		var current = links.filter(function(link) {
+			return link.href === window.location.href;
+		})[0] || links.filter(function(link) {
+			return link.href === stripHash(window.location.href);
+		})[0];
+
+		links.forEach(function(link) {
+			link.classList.remove('is-current');
+			link.removeAttribute('aria-current');
+		});
+
+		if (!current) {
+			return;
+		}
+
+		current.classList.add('is-current');
+		current.setAttribute('aria-current', 'page');
+
+		var group = current.closest('.nav-group');
+		if (group) {
+			setExpanded(group, true);
+		}
+
+		if (header) {
+			var linkRect = current.getBoundingClientRect();
+			var headerRect = header.getBoundingClientRect();
+
+			if (linkRect.top < headerRect.top || linkRect.bottom > headerRect.bottom) {
+				header.scrollTop += linkRect.top - headerRect.top - (header.clientHeight / 2);
+			}
+		}
+	}
+
+	function getLabel(element) {
+		var name = element.querySelector('.nav-item-name');
+		return (name || element).textContent.toLowerCase();
+	}
+
+	/**
+	 * Show only the navigation entries matching the query. A group is shown in full when its
+	 * heading matches, otherwise with just its matching members.
+	 *
+	 * @param {String} query
+	 */
+	function applyFilter(query) {
+		var terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+		function matches(text) {
+			return terms.every(function(term) {
+				return text.indexOf(term) > -1;
+			});
+		}
+
+		nav.classList.toggle('is-filtering', terms.length > 0);
+
+		Array.prototype.slice.call(nav.querySelectorAll(':scope > ul')).forEach(function(section) {
+			var sectionHeading = null;
+			var hasMatch = false;
+
+			Array.prototype.slice.call(section.children).forEach(function(entry) {
+				var visible;
+
+				if (entry.classList.contains('nav-group')) {
+					var headingMatches = matches(getLabel(entry.querySelector('.nav-group-heading')) + ' ' +
+						entry.getAttribute('data-nav-group').toLowerCase());
+					var groupHasMatch = false;
+
+					Array.prototype.slice.call(entry.querySelectorAll('.nav-item')).forEach(function(item) {
+						var itemVisible = !terms.length || headingMatches || matches(getLabel(item));
+						item.hidden = !itemVisible;
+						groupHasMatch = groupHasMatch || itemVisible;
+					});
+
+					visible = groupHasMatch;
+				}
+				else if (entry.classList.contains('nav-heading') && !sectionHeading) {
+					sectionHeading = entry;
+					return;
+				}
+				else {
+					visible = !terms.length || matches(getLabel(entry));
+				}
+
+				entry.hidden = !visible;
+				hasMatch = hasMatch || visible;
+			});
+
+			if (sectionHeading) {
+				sectionHeading.hidden = !hasMatch;
+			}
+			section.hidden = !hasMatch;
+		});
+	}
+
+	var storedGroups = getStoredGroups();
+
+	groups.forEach(function(group) {
+		setExpanded(group, storedGroups.indexOf(group.getAttribute('data-nav-group')) > -1);
+
+		group.querySelector('.nav-group-toggle').addEventListener('click', function() {
+			setExpanded(group, !group.classList.contains('is-expanded'));
+			storeGroups();
+		});
+	});
+
+	nav.classList.add('is-collapsible');
+	highlightCurrent();
+	window.addEventListener('hashchange', highlightCurrent);
+
+	if (filter) {
+		filter.hidden = false;
+		filter.addEventListener('input', function() {
+			applyFilter(filter.value);
+		});
+		filter.addEventListener('keydown', function(event) {
+			if (event.key === 'Escape') {
+				filter.value = '';
+				applyFilter('');
+			}
+		});
+	}
+})();
@@ -0,0 +1,87 @@
+// Highlights the entry of the "On this page" table of contents for the part of the page in view.
+(function() {
+	'use strict';
+
+	var toc = document.getElementById('page-toc');
+
+	if (!toc) {
+		return;
+	}
+
+	var entries = Array.prototype.slice.call(toc.querySelectorAll('a[href^="#"]')).map(function(link) {
+		// symbol ids are URL-encoded already, so the fragment is the id as it is
+		var id = link.getAttribute('href').slice(1);
+
+		return {
+			link: link,
+			section: link.closest('.page-toc-section'),
+			target: document.getElementById(id),
+		};
+	}).filter(function(entry) {
+		return entry.target;
+	});
+
+	var current = null;
+	var scheduled = false;
+
+	/**
+	 * Find the last heading that has been scrolled past the top quarter of the window, which the
+	 * reader is taken to be reading.
+	 *
+	 * @return {?Object}
+	 */
+	function findCurrent() {
+		var threshold = window.innerHeight / 4;
+		var found = null;
+
+		for (var i = 0; i < entries.length; i++) {
+			if (entries[i].target.getBoundingClientRect().top > threshold) {
+				break;
+			}
+			found = entries[i];
+		}
+
+		return found;
+	}
+
+	function update() {
+		var entry = findCurrent();
+
+		scheduled = false;
+
+		if (entry === current) {
+			return;
+		}
+
+		if (current) {
+			current.link.classList.remove('is-current');
+			current.section.classList.remove('is-active');
+		}
+
+		current = entry;
+
+		if (current) {
+			current.link.classList.add('is-current');
+			current.section.classList.add('is-active');
+
+			// keep the highlighted entry in view when the table of contents is taller than the window
+			var linkRect = current.link.getBoundingClientRect();
+			var tocRect = toc.getBoundingClientRect();
+
+			if (linkRect.top < tocRect.top || linkRect.bottom > tocRect.bottom) {
+				toc.scrollTop += linkRect.top - tocRect.top - (toc.clientHeight / 2);
+			}
+		}
+	}
+
+	function scheduleUpdate() {
+		if (!scheduled) {
+			scheduled = true;
+			window.requestAnimationFrame(update);
+		}
+	}
+
+	window.addEventListener('scroll', scheduleUpdate, { passive: true });
+	window.addEventListener('resize', scheduleUpdate);
+	update();
+})();
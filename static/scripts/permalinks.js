@@ -0,0 +1,47 @@
+// Copies the address of a heading when its permalink is clicked, as well as following the link.
+(function() {
+	'use strict';
+
+	var COPIED_CLASS = 'is-copied';
+	var COPIED_DURATION = 2000;
+
+	var clipboard = window.docClipboard;
+
+	if (!clipboard) {
+		return;
+	}
+
+	/**
+	 * Build the absolute address of a fragment of this page, preferring its canonical address to
+	 * the one it was opened from, which can be a local file or a preview.
+	 *
+	 * @param {String} hash
+	 * @return {String}
+	 */
+	function getUrl(hash) {
+		var canonical = document.querySelector('link[rel="canonical"]');
+		var base = canonical ? canonical.href : window.location.href;
+
+		return base.split('#')[0] + hash;
+	}
+
+	document.addEventListener('click', function(event) {
+		var link = event.target.closest && event.target.closest('.permalink');
+
+		if (!link) {
+			return;
+		}
+
+		// the link is still followed, so the address bar shows the permalink too
+		clipboard.copy(getUrl(link.getAttribute('href'))).then(function() {
+			link.classList.add(COPIED_CLASS);
+			clipboard.announce('Link copied', COPIED_DURATION);
+
+			window.setTimeout(function() {
+				link.classList.remove(COPIED_CLASS);
+			}, COPIED_DURATION);
+		}, function() {
+			clipboard.announce('Unable to copy the link', COPIED_DURATION);
+		});
+	});
+})();
@@ -0,0 +1,140 @@
+// Runs the examples marked as runnable in a sandboxed iframe, showing what they log in a console panel.
+(function() {
+	'use strict';
+
+	var LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+	var script = document.currentScript;
+	var clipboard = window.docClipboard;
+	var playgrounds = Array.prototype.slice.call(document.querySelectorAll('.example-playground'));
+
+	if (!script || !clipboard || !playgrounds.length) {
+		return;
+	}
+
+	// the library scripts are given relative to the output directory, which is where the pages are
+	var libraries = (script.getAttribute('data-scripts') || '').split(' ').filter(Boolean).map(function(src) {
+		return new URL(src, document.baseURI).href;
+	});
+
+	function escapeAttribute(text) {
+		return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+	}
+
+	// the code is inlined in a <script>, which must not be closed early by a string in it
+	function escapeScript(code) {
+		return code.replace(/<\/(script)/gi, '<\\/$1');
+	}
+
+	/**
+	 * The sandboxed page reports its console output and uncaught errors to the documentation page
+	 * by posting messages to it, as it can't reach it otherwise.
+	 *
+	 * @param {Array<String>} levels The console methods to report.
+	 */
+	function consoleBridge(levels) {
+		function format(value) {
+			if (typeof value === 'string') {
+				return value;
+			}
+			if (value instanceof Error) {
+				return value.name + ': ' + value.message;
+			}
+			if (typeof value === 'function' || typeof value === 'symbol' || value === undefined) {
+				return String(value);
+			}
+
+			try {
+				return JSON.stringify(value);
+			}
+			catch (e) {
+				return String(value);
+			}
+		}
+
+		function send(level, values) {
+			window.parent.postMessage({
+				level: level,
+				text: Array.prototype.map.call(values, format).join(' '),
+			}, '*');
+		}
+
+		levels.forEach(function(level) {
+			var original = console[level];
+
+			console[level] = function() {
+				send(level, arguments);
+				return original && original.apply(console, arguments);
+			};
+		});
+
+		window.addEventListener('error', function(event) {
+			send('error', [event.error || event.message]);
+		});
+
+		window.addEventListener('unhandledrejection', function(event) {
+			send('error', ['Uncaught (in promise)', event.reason]);
+		});
+	}
+
+	function buildDocument(code) {
+		var bridge = '(' + consoleBridge.toString() + ')(' + JSON.stringify(LEVELS) + ');';
+
+		return '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+			'<script>' + escapeScript(bridge) + '</script>' +
+			libraries.map(function(src) {
+				return '<script src="' + escapeAttribute(src) + '"></script>';
+			}).join('') +
+			'</head><body><script>' + escapeScript(code) + '</script></body></html>';
+	}
+
+	function addLine(output, level, text) {
+		var line = document.createElement('div');
+
+		line.className = 'example-playground-line example-playground-line--' + level;
+		line.textContent = text;
+		output.appendChild(line);
+	}
+
+	function setUp(playground) {
+		var code = playground.querySelector('pre code');
+		var button = playground.querySelector('.example-playground-run');
+		var output = playground.querySelector('.example-playground-console');
+		var frame = null;
+
+		if (!code || !button || !output) {
+			return;
+		}
+
+		window.addEventListener('message', function(event) {
+			if (!frame || event.source !== frame.contentWindow || !event.data) {
+				return;
+			}
+
+			addLine(output, LEVELS.indexOf(event.data.level) > -1 ? event.data.level : 'log', String(event.data.text));
+		});
+
+		button.addEventListener('click', function() {
+			// each run starts from a fresh page, so that examples don't see what earlier runs left behind
+			if (frame) {
+				frame.parentNode.removeChild(frame);
+			}
+
+			output.innerHTML = '';
+			output.hidden = false;
+
+			frame = document.createElement('iframe');
+			frame.className = 'example-playground-frame';
+			frame.title = 'Example sandbox';
+			frame.setAttribute('sandbox', 'allow-scripts');
+			frame.hidden = true;
+			frame.srcdoc = buildDocument(clipboard.getCode(code));
+
+			playground.appendChild(frame);
+		});
+
+		button.hidden = false;
+	}
+
+	playgrounds.forEach(setUp);
+})();
@@ -0,0 +1,205 @@
+(function() {
+	'use strict';
+
+	var MAX_RESULTS = 20;
+
+	var input = document.getElementById('search-input');
+	var results = document.getElementById('search-results');
+
+	if (!input || !results || !window.searchIndex) {
+		return;
+	}
+
+	// lower-case every searchable field once, rather than on every keystroke
+	var entries = window.searchIndex.map(function(entry) {
+		return {
+			entry: entry,
+			name: entry.name.toLowerCase(),
+			longname: entry.longname.toLowerCase(),
+			summary: entry.summary.toLowerCase(),
+			description: entry.description.toLowerCase(),
+		};
+	});
+
+	var activeIndex = -1;
+
+	/**
+	 * Score how well an entry matches every search term; matches on the symbol name outrank
+	 * matches in its summary, which in turn outrank matches in its description.
+	 *
+	 * @param {Object} item
+	 * @param {String[]} terms
+	 * @return {Number} The score, or 0 if any term does not match.
+	 */
+	function score(item, terms) {
+		var total = 0;
+
+		for (var i = 0; i < terms.length; i++) {
+			var term = terms[i];
+
+			if (item.name === term) {
+				total += 100;
+			}
+			else if (item.name.indexOf(term) === 0) {
+				total += 60;
+			}
+			else if (item.name.indexOf(term) > -1) {
+				total += 40;
+			}
+			else if (item.longname.indexOf(term) > -1) {
+				total += 25;
+			}
+			else if (item.summary.indexOf(term) > -1) {
+				total += 10;
+			}
+			else if (item.description.indexOf(term) > -1) {
+				total += 5;
+			}
+			else {
+				return 0;
+			}
+		}
+
+		return total;
+	}
+
+	function search(query) {
+		var terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+		if (!terms.length) {
+			return [];
+		}
+
+		return entries
+			.map(function(item) {
+				return { item: item, score: score(item, terms) };
+			})
+			.filter(function(match) {
+				return match.score > 0;
+			})
+			.sort(function(a, b) {
+				return (b.score - a.score) ||
+					(a.item.longname.length - b.item.longname.length) ||
+					(a.item.longname < b.item.longname ? -1 : 1);
+			})
+			.slice(0, MAX_RESULTS)
+			.map(function(match) {
+				return match.item.entry;
+			});
+	}
+
+	function buildResult(entry) {
+		var li = document.createElement('li');
+		var link = document.createElement('a');
+		var type = document.createElement('span');
+		var name = document.createElement('span');
+
+		li.className = 'search-result';
+		li.setAttribute('role', 'option');
+
+		link.href = entry.url;
+
+		type.className = 'nav-item-type type-' + entry.kind;
+		type.title = entry.kind;
+		type.textContent = entry.kind[0].toUpperCase();
+
+		name.className = 'search-result-name';
+		name.textContent = entry.longname;
+
+		link.appendChild(type);
+		link.appendChild(name);
+
+		if (entry.summary) {
+			var summary = document.createElement('span');
+			summary.className = 'search-result-summary';
+			summary.textContent = entry.summary;
+			link.appendChild(summary);
+		}
+
+		li.appendChild(link);
+
+		return li;
+	}
+
+	function setActive(index) {
+		var items = results.children;
+
+		if (!items.length) {
+			activeIndex = -1;
+			return;
+		}
+
+		activeIndex = (index + items.length) % items.length;
+
+		for (var i = 0; i < items.length; i++) {
+			items[i].classList.toggle('is-active', i === activeIndex);
+			items[i].setAttribute('aria-selected', i === activeIndex);
+		}
+
+		items[activeIndex].scrollIntoView({ block: 'nearest' });
+	}
+
+	function render() {
+		var matches = search(input.value);
+
+		results.innerHTML = '';
+		activeIndex = -1;
+
+		if (!input.value.trim()) {
+			results.hidden = true;
+			return;
+		}
+
+		if (!matches.length) {
+			var empty = document.createElement('li');
+			empty.className = 'search-empty';
+			empty.textContent = 'No results';
+			results.appendChild(empty);
+		}
+		else {
+			matches.forEach(function(entry) {
+				results.appendChild(buildResult(entry));
+			});
+			setActive(0);
+		}
+
+		results.hidden = false;
+	}
+
+	input.addEventListener('input', render);
+
+	input.addEventListener('keydown', function(event) {
+		if (event.key === 'ArrowDown') {
+			event.preventDefault();
+			setActive(activeIndex + 1);
+		}
+		else if (event.key === 'ArrowUp') {
+			event.preventDefault();
+			setActive(activeIndex - 1);
+		}
+		else if (event.key === 'Enter') {
+			var active = results.children[activeIndex];
+			var link = active && active.querySelector('a');
+
+			if (link) {
+				event.preventDefault();
+				window.location.href = link.href;
+			}
+		}
+		else if (event.key === 'Escape') {
+			input.value = '';
+			render();
+		}
+	});
+
+	// press '/' anywhere to jump to the search box
+	document.addEventListener('keydown', function(event) {
+		var target = event.target;
+		var isEditable = target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+
+		if (event.key === '/' && !isEditable) {
+			event.preventDefault();
+			input.focus();
+		}
+	});
+})();
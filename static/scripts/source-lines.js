@@ -0,0 +1,140 @@
+// Links the line numbers of a source page, so that a line or a range of lines can be linked to, and
+// puts a link to the documentation of each symbol next to the line that defines it.
+(function() {
+	'use strict';
+
+	var pre = document.getElementById('source');
+
+	if (!pre || !window.Prism) {
+		return;
+	}
+
+	var code = pre.querySelector('code');
+	var symbols = Array.prototype.slice.call(document.querySelectorAll('.source-outline-item[data-line]'));
+	var rows = [];
+	var docLinks = [];
+	var selectedLine = null;
+	var scrollPosition = null;
+
+	/**
+	 * The lines named by the hash, such as `#source.12` or `#source.12-20`, are highlighted by
+	 * Prism's line-highlight plugin.
+	 *
+	 * @return {?Array<Number>} The first and last lines.
+	 */
+	function getHashRange() {
+		var match = /^#source\.(\d+)(?:-(\d+))?$/.exec(window.location.hash);
+
+		return match ? [Number(match[1]), Number(match[2] || match[1])] : null;
+	}
+
+	function getLineTop(line) {
+		var row = rows[line - 1];
+
+		return row ? code.offsetTop + row.offsetTop : null;
+	}
+
+	/**
+	 * Link to the clicked line, or to the range from the line clicked before when the shift key
+	 * is held, without scrolling the page.
+	 *
+	 * @param {Number} line
+	 * @param {Boolean} extend
+	 */
+	function selectLine(line, extend) {
+		var range = getHashRange();
+		var start = line;
+		var end = line;
+
+		if (extend && range) {
+			start = Math.min(line, selectedLine || range[0]);
+			end = Math.max(line, selectedLine || range[0]);
+		}
+		else {
+			selectedLine = line;
+		}
+
+		scrollPosition = [window.pageXOffset, window.pageYOffset];
+		window.location.hash = 'source.' + start + (end > start ? '-' + end : '');
+	}
+
+	function positionDocLinks() {
+		docLinks.forEach(function(link) {
+			var top = getLineTop(Number(link.getAttribute('data-line')));
+
+			link.hidden = (top === null);
+			link.style.top = (top || 0) + 'px';
+		});
+	}
+
+	function addDocLinks() {
+		var lines = {};
+
+		docLinks = symbols.filter(function(symbol) {
+			// one link per line is enough, and it goes to the first symbol defined on it
+			var line = symbol.getAttribute('data-line');
+			var isFirst = !lines[line];
+
+			lines[line] = true;
+
+			return isFirst;
+		}).map(function(symbol) {
+			var target = symbol.querySelector('.source-outline-symbol');
+			var link = document.createElement('a');
+
+			link.className = 'source-doc-link';
+			link.href = target.getAttribute('href');
+			link.textContent = 'documentation';
+			link.title = 'Documentation of ' + target.textContent;
+			link.setAttribute('data-line', symbol.getAttribute('data-line'));
+
+			pre.appendChild(link);
+
+			return link;
+		});
+
+		positionDocLinks();
+	}
+
+	function setUp() {
+		var lineNumbers = pre.querySelector('.line-numbers-rows');
+
+		if (!lineNumbers || rows.length) {
+			return Boolean(rows.length);
+		}
+
+		rows = Array.prototype.slice.call(lineNumbers.children);
+		pre.classList.add('has-line-links');
+
+		lineNumbers.addEventListener('click', function(event) {
+			var index = rows.indexOf(event.target);
+
+			if (index > -1) {
+				selectLine(index + 1, event.shiftKey);
+			}
+		});
+
+		addDocLinks();
+
+		return true;
+	}
+
+	// the line-highlight plugin scrolls the highlighted lines to the top, which is only wanted
+	// when following a link to them
+	window.addEventListener('hashchange', function() {
+		if (scrollPosition) {
+			window.scrollTo(scrollPosition[0], scrollPosition[1]);
+			scrollPosition = null;
+		}
+	});
+
+	window.addEventListener('resize', positionDocLinks);
+
+	if (!setUp()) {
+		window.Prism.hooks.add('complete', function(env) {
+			if (env.element === code) {
+				setUp();
+			}
+		});
+	}
+})();
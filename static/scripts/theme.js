@@ -0,0 +1,85 @@
+// Loaded synchronously in the <head>, so that the theme is applied before the page is painted.
+(function() {
+	'use strict';
+
+	var STORAGE_KEY = 'tidy-jsdoc-theme';
+	var THEMES = ['light', 'dark'];
+
+	var root = document.documentElement;
+	var systemPrefersLight = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)');
+
+	function getStoredTheme() {
+		try {
+			var theme = window.localStorage.getItem(STORAGE_KEY);
+			return THEMES.indexOf(theme) > -1 ? theme : null;
+		}
+		catch (e) {
+			// storage can be unavailable for pages opened from the file system
+			return null;
+		}
+	}
+
+	function storeTheme(theme) {
+		try {
+			window.localStorage.setItem(STORAGE_KEY, theme);
+		}
+		catch (e) {
+			// the choice then only lasts until the page is left
+		}
+	}
+
+	/**
+	 * The stored choice wins, then the `theme` option of the template, then the system preference.
+	 *
+	 * @return {String}
+	 */
+	function getPreferredTheme() {
+		var defaultTheme = root.getAttribute('data-default-theme');
+
+		if (getStoredTheme()) {
+			return getStoredTheme();
+		}
+
+		if (THEMES.indexOf(defaultTheme) > -1) {
+			return defaultTheme;
+		}
+
+		return systemPrefersLight && systemPrefersLight.matches ? 'light' : 'dark';
+	}
+
+	function applyTheme(theme) {
+		root.setAttribute('data-theme', theme);
+
+		// swap the Prism stylesheet along with the page, when there is one per theme
+		THEMES.forEach(function(name) {
+			var link = document.getElementById('prism-theme-' + name);
+
+			if (link) {
+				link.disabled = (name !== theme);
+			}
+		});
+	}
+
+	applyTheme(getPreferredTheme());
+
+	if (systemPrefersLight && systemPrefersLight.addEventListener) {
+		systemPrefersLight.addEventListener('change', function() {
+			applyTheme(getPreferredTheme());
+		});
+	}
+
+	document.addEventListener('DOMContentLoaded', function() {
+		var toggle = document.getElementById('theme-toggle');
+
+		if (!toggle) {
+			return;
+		}
+
+		toggle.addEventListener('click', function() {
+			var theme = root.getAttribute('data-theme') === 'light' ? 'dark' : 'light';
+
+			storeTheme(theme);
+			applyTheme(theme);
+		});
+	});
+})();
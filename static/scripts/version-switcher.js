@@ -0,0 +1,55 @@
+// Lists every version in the versions manifest, and switches to the same page in another version.
+(function() {
+	'use strict';
+
+	var select = document.getElementById('version-switcher');
+	var manifest = window.docVersions;
+
+	if (!select || !manifest || !manifest.versions) {
+		return;
+	}
+
+	var currentVersion = select.getAttribute('data-current-version');
+	var root = select.getAttribute('data-root');
+	var currentPage = window.location.pathname.split('/').pop() || 'index.html';
+
+	function getLabel(entry) {
+		var labels = [];
+
+		if (entry.version === manifest.latest) {
+			labels.push('latest');
+		}
+		if (entry.version === manifest.stable) {
+			labels.push('stable');
+		}
+
+		return entry.version + (labels.length ? ' (' + labels.join(', ') + ')' : '');
+	}
+
+	select.innerHTML = '';
+
+	manifest.versions.forEach(function(entry) {
+		var option = document.createElement('option');
+
+		option.value = entry.version;
+		option.textContent = getLabel(entry);
+		option.selected = (entry.version === currentVersion);
+
+		select.appendChild(option);
+	});
+
+	select.addEventListener('change', function() {
+		var target = manifest.versions.filter(function(entry) {
+			return entry.version === select.value;
+		})[0];
+
+		if (!target) {
+			return;
+		}
+
+		// fall back to the index when the page doesn't exist in the other version
+		var hasPage = target.pages.indexOf(currentPage) > -1;
+
+		window.location.href = root + target.path + (hasPage ? currentPage + window.location.hash : 'index.html');
+	});
+})();